@@ -24,8 +24,10 @@ var allElementTypes = 65535
 /*
 https://help.eyeo.com/en/adblockplus/how-to-write-filters#options
 "Filters will not block pop-ups by default, only if the $popup type option is specified."
+$elemhide and $generichide also only apply to exceptions that list them explicitly,
+so "@@||example.com^" doesn't turn off element hiding on example.com
 */
-const defaultElementTypes = allElementTypes & (~elementTypesSet.popup)
+const defaultElementTypes = allElementTypes & (~elementTypesSet.popup) & (~elementTypesSet.elemhide) & (~elementTypesSet.generichide)
 
 var separatorCharacters = ':?/=^'
 
@@ -286,7 +288,9 @@ Trie.prototype.getEndingSubstringsOfReversed = function (string) {
 }
 
 function parseFilter (input, parsedFilterData) {
-  input = input.trim().toLowerCase()
+  // the original text is kept to show which rule blocked a request
+  parsedFilterData.rule = input.trim()
+  input = parsedFilterData.rule.toLowerCase()
 
   var len = input.length
 
@@ -308,9 +312,9 @@ function parseFilter (input, parsedFilterData) {
     beginIndex = 2
   }
 
-  // Check for element hiding rules
+  // Check for element hiding rules and snippets
   var index = input.indexOf('#', beginIndex)
-  if (index !== -1 && (input[index + 1] === '#' || input[index + 1] === '@' || input[index + 1] === '?')) {
+  if (index !== -1 && (input[index + 1] === '#' || input[index + 1] === '@' || input[index + 1] === '?' || input[index + 1] === '$')) {
     return false
   }
 
@@ -371,6 +375,218 @@ function parseFilter (input, parsedFilterData) {
   return true
 }
 
+/*
+Element hiding rules: "##.ad", "example.com,~sub.example.com##.ad", and exceptions like "example.com#@#.ad"
+Extended CSS (#?#) and snippet (#$#) rules aren't supported.
+Selectors are case-sensitive, so unlike other filters these aren't lowercased.
+*/
+var cosmeticFilterRegex = /^([a-z0-9.,~*-]*)#(@?)#(.+)$/i
+
+function parseCosmeticFilter (input, cosmeticFilters) {
+  var match = cosmeticFilterRegex.exec(input.trim())
+  if (!match) {
+    return false
+  }
+
+  var options = {}
+  if (match[1]) {
+    parseDomains(match[1].toLowerCase().replace(/,/g, '|'), options)
+  }
+  var selector = match[3].trim()
+
+  if (match[2] === '@') {
+    // the exception applies everywhere if it has no domains
+    var exceptionDomains = options.domains || ['']
+    cosmeticFilters.exceptions[selector] = (cosmeticFilters.exceptions[selector] || []).concat(exceptionDomains)
+    return true
+  }
+
+  var rule = { selector: selector, skipDomains: options.skipDomains }
+
+  // rules that only exclude domains are generic, as in ABP
+  if (!options.domains) {
+    cosmeticFilters.generic.push(rule)
+  } else {
+    options.domains.forEach(function (domain) {
+      if (cosmeticFilters.domains[domain]) {
+        cosmeticFilters.domains[domain].push(rule)
+      } else {
+        cosmeticFilters.domains[domain] = [rule]
+      }
+    })
+  }
+  return true
+}
+
+/**
+ * Returns the element hiding selectors that apply to a page
+ * @param host the host of the page
+ * @param includeGeneric false to skip generic rules (for pages with a $generichide exception)
+ */
+function getCosmeticSelectors (filters, host, includeGeneric) {
+  var cosmeticFilters = filters.cosmeticFilters
+  if (!filters.initialized || !cosmeticFilters) {
+    return []
+  }
+
+  host = host.toLowerCase()
+  var selectors = new Set()
+
+  function addRule (rule) {
+    if (!rule.skipDomains || !rule.skipDomains.some(skipDomain => isSameOriginHost(skipDomain, host))) {
+      selectors.add(rule.selector)
+    }
+  }
+
+  if (includeGeneric) {
+    cosmeticFilters.generic.forEach(addRule)
+  }
+
+  // rules for a domain also apply to its subdomains
+  var hostParts = host.split('.')
+  for (var i = 0; i < hostParts.length; i++) {
+    var domainRules = cosmeticFilters.domains[hostParts.slice(i).join('.')]
+    if (domainRules) {
+      domainRules.forEach(addRule)
+    }
+  }
+
+  return Array.from(selectors).filter(function (selector) {
+    var exceptions = cosmeticFilters.exceptions[selector]
+    return !exceptions || !exceptions.some(domain => domain === '' || isSameOriginHost(domain, host))
+  })
+}
+
+/*
+$removeparam filters remove query parameters from URLs instead of blocking requests:
+"$removeparam=utm_*", "||amazon.com/dp/$removeparam=ref", "/\/product\//$removeparam=/^pd_rd_/", "$removeparam=ref,domain=ebay.com"
+The parameter is a name that can contain * wildcards, or a regular expression that is tested against the name.
+Without a parameter, all of the URL's parameters are removed.
+Exceptions like "@@||example.com^$removeparam=utm_source" keep the parameter on matching URLs.
+domain= is the only other supported option, and unlike in other filters, it's checked against the domain of the URL itself.
+*/
+var removeParamOptionsRegex = /\$(?:[a-z~-]+(?:=[^,$]*)?,)*removeparam(?:=|,|$)/i
+var removeParamRegex = /(?:^|,)removeparam(?:=(\/.*\/[a-z]*|[^,]*))?(?=,|$)/i
+
+function parseParamMatcher (param) {
+  if (!param) {
+    return null
+  }
+  var regex = /^\/(.*)\/([a-z]*)$/.exec(param)
+  if (regex) {
+    return new RegExp(regex[1], regex[2])
+  }
+  return new RegExp('^' + param.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$')
+}
+
+function parseRemoveParamFilter (input, parserData) {
+  input = input.trim()
+  var index = input.search(removeParamOptionsRegex)
+  if (index === -1) {
+    return false
+  }
+
+  var isException = input.startsWith('@@')
+  var pattern = input.substring(isException ? 2 : 0, index)
+  var optionsText = input.substring(index + 1)
+
+  var removeParam = removeParamRegex.exec(optionsText)
+  var filter = {
+    rule: input,
+    param: parseParamMatcher(removeParam[1]),
+    options: {},
+    urlFilter: null
+  }
+
+  optionsText.replace(removeParam[0], '').split(',').forEach(function (option) {
+    if (option.startsWith('domain=')) {
+      parseDomains(option.substring(7).toLowerCase(), filter.options)
+    }
+  })
+
+  if (pattern) {
+    filter.urlFilter = {}
+    parseFilter(pattern, filter.urlFilter)
+  }
+
+  if (isException) {
+    parserData.removeParamExceptions.push(filter)
+  } else {
+    parserData.removeParamFilters.push(filter)
+  }
+  return true
+}
+
+function urlMatchesFilter (filter, input, host) {
+  if (filter.regex) {
+    return filter.regex.test(input)
+  }
+  if (filter.hostAnchored) {
+    return isSameOriginHost(filter.host, host) && indexOfFilter(input, filter.data) !== -1
+  }
+  if (filter.wildcardMatchParts) {
+    return matchWildcard(input, filter)
+  }
+  if (filter.leftAnchored && filter.rightAnchored) {
+    return input === filter.data
+  }
+  if (filter.leftAnchored) {
+    return indexOfFilter(input, filter.data, 0) === 0
+  }
+  if (filter.rightAnchored) {
+    return input.endsWith(filter.data)
+  }
+  return indexOfFilter(input, filter.data, 0) !== -1
+}
+
+function removeParamFilterApplies (filter, param, input, host) {
+  var options = filter.options
+  if (options.skipDomains && options.skipDomains.some(skipDomain => isSameOriginHost(skipDomain, host))) {
+    return false
+  }
+  if (options.domains && !options.domains.some(domain => isSameOriginHost(domain, host))) {
+    return false
+  }
+  if (filter.param && !filter.param.test(param)) {
+    return false
+  }
+  return !filter.urlFilter || urlMatchesFilter(filter.urlFilter, input, host)
+}
+
+/**
+ * Removes the query parameters matched by $removeparam filters from a URL
+ * @param filterSets an array of parsed filter data objects, whose filters are used together
+ * @param input the URL
+ */
+function removeParams (filterSets, input) {
+  var url = new URL(input)
+  if (!url.search) {
+    return input
+  }
+
+  var lowercaseInput = input.toLowerCase()
+  var host = url.hostname
+  var filters = []
+  var exceptions = []
+  filterSets.forEach(function (filterSet) {
+    if (filterSet.removeParamFilters) {
+      filters = filters.concat(filterSet.removeParamFilters)
+      exceptions = exceptions.concat(filterSet.removeParamExceptions)
+    }
+  })
+
+  var paramsToRemove = Array.from(new Set(url.searchParams.keys())).filter(function (param) {
+    return filters.some(filter => removeParamFilterApplies(filter, param, lowercaseInput, host)) &&
+      !exceptions.some(filter => removeParamFilterApplies(filter, param, lowercaseInput, host))
+  })
+
+  if (paramsToRemove.length === 0) {
+    return input
+  }
+  paramsToRemove.forEach(param => url.searchParams.delete(param))
+  return url.toString()
+}
+
 /**
  * Similar to str1.indexOf(filter, startingPos) but with
  * extra consideration to some ABP filter rules like ^.
@@ -490,6 +706,16 @@ function matchOptions (filterOptions, input, contextParams, currentHost) {
 // as long as all the options except the domain list are the same, they can be merged
 // this is currently only used for leftAnchored, since that seems to be the only place where it makes a difference
 // note: must add check here when adding support for new options
+function maybeMergeDuplicateFilters (filter1, filter2) {
+  var options = maybeMergeDuplicateOptions(filter1.options, filter2.options)
+  if (options === null && (filter1.options || filter2.options)) {
+    return null
+  }
+  // the merged filter keeps the text of the first one, which has the same pattern as the others
+  filter1.options = options
+  return filter1
+}
+
 function maybeMergeDuplicateOptions (opt1, opt2) {
   if (opt1 === opt2) {
     return opt1
@@ -510,7 +736,10 @@ function maybeMergeDuplicateOptions (opt1, opt2) {
  * Parses the set of filter rules and fills in parserData
  * @param input filter rules
  * @param parserData out parameter which will be filled
- *   with the filters, exceptionFilters and htmlRuleFilters.
+ *   with the filters, exceptionFilters and cosmeticFilters.
+ * @param options.stats optional { ruleCount: 0, errors: [] } object,
+ *   which is filled with the number of rules and the lines that couldn't be parsed
+ * @param options.list optional ID of the list the filters are from, which is saved in each filter
  */
 
 function parse (input, parserData, callback, options = {}) {
@@ -535,6 +764,10 @@ function parse (input, parserData, callback, options = {}) {
     parserData.exceptionFilters[trieFilterCategories[i]] = parserData.exceptionFilters[trieFilterCategories[i]] || new Trie()
   }
 
+  parserData.cosmeticFilters = parserData.cosmeticFilters || { generic: [], domains: {}, exceptions: {} }
+  parserData.removeParamFilters = parserData.removeParamFilters || []
+  parserData.removeParamExceptions = parserData.removeParamExceptions || []
+
   var filters = input.split('\n')
 
   function processChunk (start, end) {
@@ -545,10 +778,39 @@ function parse (input, parserData, callback, options = {}) {
       }
 
       var parsedFilterData = {}
+      // element hiding and $removeparam filters are stored separately from the other filters
+      var isSpecialFilter, isFilter
+
+      try {
+        isSpecialFilter = parseCosmeticFilter(filter, parserData.cosmeticFilters) || parseRemoveParamFilter(filter, parserData)
+        isFilter = !isSpecialFilter && parseFilter(filter, parsedFilterData)
+      } catch (e) {
+        // filters with an invalid regular expression throw
+        if (options.stats) {
+          options.stats.errors.push({ line: i + 1, text: filter.trim(), reason: 'invalid' })
+        }
+        continue
+      }
+
+      if (options.stats) {
+        if (isSpecialFilter || isFilter) {
+          options.stats.ruleCount++
+        } else if (!/^\s*($|!|\[)/.test(filter)) {
+          options.stats.errors.push({ line: i + 1, text: filter.trim(), reason: 'unsupported' })
+        }
+      }
+
+      if (isSpecialFilter) {
+        continue
+      }
+
+      if (options.list) {
+        parsedFilterData.list = options.list
+      }
 
       var object
 
-      if (parseFilter(filter, parsedFilterData)) {
+      if (isFilter) {
         if (parsedFilterData.isException) {
           object = parserData.exceptionFilters
         } else {
@@ -560,10 +822,10 @@ function parse (input, parserData, callback, options = {}) {
           if (parsedFilterData.rightAnchored) {
             object.bothAnchored.push(parsedFilterData)
           } else {
-            object.leftAnchored.add(parsedFilterData.data, parsedFilterData.options, maybeMergeDuplicateOptions)
+            object.leftAnchored.add(parsedFilterData.data, parsedFilterData, maybeMergeDuplicateFilters)
           }
         } else if (parsedFilterData.rightAnchored) {
-          object.rightAnchored.addReverse(parsedFilterData.data, parsedFilterData.options)
+          object.rightAnchored.addReverse(parsedFilterData.data, parsedFilterData)
         } else if (parsedFilterData.hostAnchored) {
           /* add the filters to the object based on the last 6 characters of their domain.
             Domains can be just 5 characters long: the TLD is at least 2 characters,
@@ -642,7 +904,8 @@ function parse (input, parserData, callback, options = {}) {
   }
 }
 
-function matchesFilters (filters, input, contextParams) {
+// Returns the first filter that matches the input, or null
+function findMatchingFilter (filters, input, contextParams) {
   var currentHost = getUrlHost(input)
 
   var i, len, filter
@@ -653,8 +916,8 @@ function matchesFilters (filters, input, contextParams) {
   if (leftAnchoredMatches.length !== 0) {
     var len = leftAnchoredMatches.length
     for (i = 0; i < len; i++) {
-      if (matchOptions(leftAnchoredMatches[i], input, contextParams, currentHost)) {
-        return true
+      if (matchOptions(leftAnchoredMatches[i].options, input, contextParams, currentHost)) {
+        return leftAnchoredMatches[i]
       }
     }
   }
@@ -665,8 +928,8 @@ function matchesFilters (filters, input, contextParams) {
   if (rightAnchoredMatches.length !== 0) {
     var len = rightAnchoredMatches.length
     for (i = 0; i < len; i++) {
-      if (matchOptions(rightAnchoredMatches[i], input, contextParams, currentHost)) {
-        return true
+      if (matchOptions(rightAnchoredMatches[i].options, input, contextParams, currentHost)) {
+        return rightAnchoredMatches[i]
       }
     }
   }
@@ -677,7 +940,7 @@ function matchesFilters (filters, input, contextParams) {
     if (filters.bothAnchored[i].data === input && matchOptions(filters.bothAnchored[i].options, input, contextParams, currentHost)) {
       // console.log(filter, 3)
 
-      return true
+      return filters.bothAnchored[i]
     }
   }
 
@@ -702,7 +965,7 @@ function matchesFilters (filters, input, contextParams) {
       if (isSameOriginHost(filter.host, currentHost) && indexOfFilter(input, filter.data) !== -1 && matchOptions(filter.options, input, contextParams, currentHost)) {
         // console.log(filter, 4)
 
-        return true
+        return filter
       }
     }
   }
@@ -724,27 +987,57 @@ function matchesFilters (filters, input, contextParams) {
       }
       if (matches && matchOptions(nonAnchoredStringMatches[i].options, input, contextParams, currentHost)) {
         // console.log(nonAnchoredStringMatches[i], 5)
-        return true
+        return filter
       }
     }
   }
 
   // no filters matched
-  return false
+  return null
+}
+
+function matchesFilters (filters, input, contextParams) {
+  return findMatchingFilter(filters, input, contextParams) !== null
 }
 
 function matches (filters, input, contextParams) {
+  return getMatchingFilter(filters, input, contextParams) !== null
+}
+
+/**
+ * Like matches, but returns the filter that blocks the input (with the original text of the rule in filter.rule), or null
+ */
+function getMatchingFilter (filters, input, contextParams) {
   if (!filters.initialized) {
-    return false
+    return null
   }
-  if (matchesFilters(filters, input.toLowerCase(), contextParams) && !matchesFilters(filters.exceptionFilters, input.toLowerCase(), contextParams)) {
-    return true
+  var filter = findMatchingFilter(filters, input.toLowerCase(), contextParams)
+  if (filter && !matchesFilters(filters.exceptionFilters, input.toLowerCase(), contextParams)) {
+    return filter
+  }
+  return null
+}
+
+/**
+ * Creates an exception rule that stops a filter from matching on one site
+ * @param rule the text of the filter
+ * @param domain the site where the filter shouldn't match
+ */
+function createSiteException (rule, domain) {
+  var pattern = rule.trim()
+  var index = pattern.lastIndexOf('$')
+  if (index !== -1 && parseOptions(pattern.substring(index + 1).toLowerCase())) {
+    pattern = pattern.substring(0, index)
   }
-  return false
+  return '@@' + pattern + '$domain=' + domain
 }
 
 exports.parse = parse
 exports.matchesFilters = matchesFilters
 exports.matches = matches
+exports.getMatchingFilter = getMatchingFilter
+exports.createSiteException = createSiteException
+exports.removeParams = removeParams
 exports.getUrlHost = getUrlHost
 exports.isSameOriginHost = isSameOriginHost
+exports.getCosmeticSelectors = getCosmeticSelectors
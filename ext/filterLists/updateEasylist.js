@@ -1,9 +1,14 @@
-/* downloads the latest version of easyList and easyPrivacy, removes element hiding rules, and saves them to ext/filterLists/easylist+easyprivacy-noelementhiding.txt */
+/*
+downloads the latest version of easyList and easyPrivacy, and saves the network filters to ext/filterLists/easylist+easyprivacy-noelementhiding.txt
+and the element hiding rules to ext/filterLists/easylist+easyprivacy-elementhiding.txt
+local copies of the lists can be used instead: npm run updateFilters -- path/to/easylist.txt path/to/easyprivacy.txt
+*/
 
 const https = require('https')
 const fs = require('fs')
 
 const filePath = __dirname + '/easylist+easyprivacy-noelementhiding.txt'
+const elementHidingFilePath = __dirname + '/easylist+easyprivacy-elementhiding.txt'
 
 const easylistOptions = {
   hostname: 'easylist.to',
@@ -35,20 +40,47 @@ function makeRequest (options, callback) {
   request.end()
 }
 
+function getList (options, localPath, callback) {
+  if (localPath) {
+    callback(fs.readFileSync(localPath, 'utf8'))
+  } else {
+    makeRequest(options, callback)
+  }
+}
+
+// the versions of the lists the rules came from, so it's clear how old the saved rules are
+function getVersionComments (list) {
+  return list.split('\n').filter(function (line) {
+    return /^! (Title|Version|Last modified):/.test(line.trim())
+  }).map(line => line.trim())
+}
+
 /* get the filter lists */
 
-makeRequest(easylistOptions, function (easylist) {
-  makeRequest(easyprivacyOptions, function (easyprivacy) {
-    var data = easylist + easyprivacy
+getList(easylistOptions, process.argv[2], function (easylist) {
+  getList(easyprivacyOptions, process.argv[3], function (easyprivacy) {
+    var lines = (easylist + '\n' + easyprivacy).split('\n').filter(function (line) {
+      return !line.trim().startsWith('!') // comments
+    })
 
-    data = data.split('\n').filter(function (line) {
+    var data = lines.filter(function (line) {
       return (
         !line.includes('##') && // element hiding rules
-        !line.includes('#@') && // element hiding exceptions
-        !line.trim().startsWith('!') // comments
+        !line.includes('#@') // element hiding exceptions
       )
     }).join('\n')
 
+    var elementHidingData = lines.filter(function (line) {
+      return (
+        (line.includes('##') || line.includes('#@#')) &&
+        !line.includes('#?#') && // extended CSS rules aren't supported
+        !line.includes('#$#') // neither are snippets
+      )
+    })
+
+    elementHidingData = getVersionComments(easylist).concat(getVersionComments(easyprivacy), elementHidingData).join('\n')
+
     fs.writeFileSync(filePath, data)
+    fs.writeFileSync(elementHidingFilePath, elementHidingData)
   })
 })
@@ -0,0 +1,69 @@
+// Keeps the requests that content blocking blocked or changed on the current page of each tab (logged by main/filtering.js),
+// so that the content blocking menu can show what was blocked when a site breaks
+
+var webviews = require('webviews.js')
+
+// the oldest entries are dropped from pages with more than this many
+var maxEntriesPerTab = 1000
+
+var entriesByTab = {}
+
+function get (tabId) {
+  return entriesByTab[tabId] || []
+}
+
+function getHostname (url) {
+  try {
+    return new URL(url).hostname
+  } catch (e) {
+    return url
+  }
+}
+
+// Entries grouped by the domain of the blocked request, with the domains that have the most blocked requests first
+function getByDomain (tabId) {
+  var groups = {}
+  get(tabId).forEach(function (entry) {
+    var domain = getHostname(entry.url)
+    if (!groups[domain]) {
+      groups[domain] = { domain: domain, entries: [] }
+    }
+    groups[domain].entries.push(entry)
+  })
+
+  return Object.values(groups).sort((a, b) => b.entries.length - a.entries.length)
+}
+
+// Stop a filter rule (or, if rule is omitted, every rule) from blocking requests to blockedDomain on a site
+function allow (site, blockedDomain, rule) {
+  return ipc.invoke('addSiteException', { site: site, domain: blockedDomain, rule: rule })
+}
+
+function initialize () {
+  ipc.on('blockedRequests', function (e, requests) {
+    for (var tabId in requests) {
+      // requests are sent to every window, so only keep the ones for tabs in this one
+      if (!tasks.getTaskContainingTab(tabId)) {
+        continue
+      }
+      entriesByTab[tabId] = get(tabId).concat(requests[tabId]).slice(-maxEntriesPerTab)
+    }
+  })
+
+  webviews.bindEvent('did-start-navigation', function (tabId, url, isInPlace, isMainFrame) {
+    if (isMainFrame && !isInPlace) {
+      delete entriesByTab[tabId]
+    }
+  })
+
+  tasks.on('tab-destroyed', function (tabId) {
+    delete entriesByTab[tabId]
+  })
+}
+
+module.exports = {
+  initialize,
+  get,
+  getByDomain,
+  allow
+}
@@ -1,9 +1,16 @@
 // Branch Browser: Event listeners for tab lifecycle
 // Connects Min's tab system to branch state management
 
+var browserConfig = require('config/browserConfig.js')
+var branchRepair = require('branches/branchRepair.js')
+var punkRecords = require('branches/punkRecords.js')
+var branchFocus = require('branches/branchFocus.js')
+
 var branchState = null
 var branchPanel = null
 
+var PURGE_INTERVAL_MS = 3600000 // 1 hour
+
 // Lazy load branchPanel module
 function getBranchPanel () {
   if (branchPanel) return branchPanel
@@ -41,12 +48,26 @@ async function initialize () {
   // Load existing branches from IndexedDB
   await bs.loadFromDB()
 
-  // Clean up any orphaned branches from crashes/session restore failures
+  // Re-link branches to the restored tabs, using the branches saved with the session
+  // if some never made it to IndexedDB
+  var sessionBranches = null
+  try {
+    sessionBranches = require('sessionRestore.js').savedBranches
+  } catch (e) {
+    console.warn('[BranchEvents] Session branches not available:', e)
+  }
+  await branchRepair.repair(sessionBranches)
   var bp = getBranchPanel()
-  if (bp && bp.clearStaleBranches) {
-    bp.clearStaleBranches()
+  if (bp) {
+    bp.render()
   }
 
+  // Remove closed branches past the retention period
+  await bs.purgeClosed(browserConfig.get('archive.retentionMs'))
+  setInterval(function () {
+    bs.purgeClosed(browserConfig.get('archive.retentionMs'))
+  }, PURGE_INTERVAL_MS)
+
   // Listen to tab lifecycle events
   setupEventListeners()
 
@@ -62,6 +83,14 @@ function setupEventListeners () {
     var bs = getBranchState()
     if (!bs) return
 
+    // Tab was reopened for a closed or dormant branch (restore from sidebar or reopen closed tab)
+    // The tab has no webview yet, so the branch comes back sleeping until it is selected
+    if (tabData.branchId && bs.isRestorable(tabData.branchId)) {
+      await bs.unarchive(tabData.branchId, tabId, 'sleeping')
+      console.log('[BranchEvents] Restored closed branch', tabData.branchId, 'for tab', tabId)
+      return
+    }
+
     // Skip if already has branch
     if (tabData.branchId) {
       console.log('[BranchEvents] Tab', tabId, 'already has branch:', tabData.branchId)
@@ -91,7 +120,8 @@ function setupEventListeners () {
       }
     })
 
-    if (!rootTabExists) {
+    // (not while a branch is focused, since ROOT is outside the focused subtree)
+    if (!rootTabExists && !branchFocus.isActive()) {
       console.log('[BranchEvents] ROOT tab gone, reusing ROOT for tab', tabId)
       await bs.update(rootBranchId, { tabId: tabId })
       var task = tasks.get(taskId)
@@ -104,7 +134,8 @@ function setupEventListeners () {
     // CASE 3: ROOT exists and has valid tab - create child branch
     // Use parentBranchId from tabData if available (passed from browserUI.js for link clicks)
     // Otherwise fall back to ROOT as parent
-    var parentId = tabData.parentBranchId || rootBranchId
+    // With branch focus on, tabs that would open outside the focused subtree go under the focused branch
+    var parentId = branchFocus.getParentForNewBranch(tabData.parentBranchId || rootBranchId)
     console.log('[BranchEvents] Creating child branch for tab', tabId, 'parent:', parentId)
     var branchId = await bs.create(
       tabId,
@@ -113,27 +144,40 @@ function setupEventListeners () {
       tabData.title || ''
     )
 
+    // private branches are deleted instead of archived when their tab closes
+    if (tabData.private) {
+      await bs.update(branchId, { private: true })
+    }
+
     var task = tasks.get(taskId)
     if (task && task.tabs.has(tabId)) {
       task.tabs.update(tabId, { branchId: branchId, parentBranchId: parentId })
     }
+    punkRecords.record('branch-created', bs.get(branchId))
   })
 
-  // Tab destroyed - destroy branch and children (but never ROOT)
+  // Tab destroyed - keep the branch as a closed node so it can be restored (but never ROOT)
+  // Children keep their parent link, so open children stay where they are in the tree
+  // Branches of private tabs are deleted instead, so their pages aren't kept
   tasks.on('tab-destroyed', async function (tabId, taskId) {
     var bs = getBranchState()
     if (!bs) return
 
     var branch = bs.getByTabId(tabId)
     if (branch) {
-      // Never destroy ROOT branch
+      // Never archive ROOT branch
       if (bs.isRoot(branch.id)) {
-        console.log('[BranchEvents] Cannot destroy ROOT branch, keeping it')
+        console.log('[BranchEvents] Cannot close ROOT branch, keeping it')
+        return
+      }
+      if (branch.private) {
+        await bs.discard(branch.id)
+        console.log('[BranchEvents] Deleted private branch', branch.id, 'for tab', tabId)
         return
       }
-      // Destroy branch and all its children
-      await bs.destroyWithChildren(branch.id)
-      console.log('[BranchEvents] Destroyed branch', branch.id, 'for tab', tabId)
+      await bs.archive(branch.id)
+      console.log('[BranchEvents] Archived branch', branch.id, 'for tab', tabId)
+      punkRecords.record('branch-closed', branch)
     }
   })
 
@@ -163,6 +207,7 @@ function setupEventListeners () {
       // Add to navigation history (shows Home > Google > Search in breadcrumb)
       // If breadcrumb navigation, this will be skipped (position already updated)
       await bs.addToHistory(branch.id, value, title, { isBreadcrumbNav: isBreadcrumbNav })
+      punkRecords.record('branch-navigated', branch)
     } else if (key === 'title') {
       // Update title in branch and in latest history entry
       await bs.update(branch.id, { title: value })
@@ -185,6 +230,7 @@ function setupEventListeners () {
     var branch = bs.getByTabId(tabId)
     if (branch) {
       await bs.update(branch.id, { lastActiveAt: Date.now() })
+      punkRecords.record('branch-selected', branch)
     }
   })
 }
@@ -215,6 +261,9 @@ async function ensureAllTabsHaveBranches () {
         } else {
           // Other tabs become children of ROOT
           var branchId = await bs.create(tab.id, rootBranchId, tab.url || '', tab.title || '')
+          if (tab.private) {
+            await bs.update(branchId, { private: true })
+          }
           task.tabs.update(tab.id, {
             branchId: branchId,
             parentBranchId: rootBranchId
@@ -238,7 +287,7 @@ function debugPrintTree () {
   console.log('[BranchEvents] Branch Tree:')
 
   function printNode (node, indent) {
-    var state = node.state === 'sleeping' ? ' [sleeping]' : ''
+    var state = node.state === 'sleeping' || node.state === 'closed' || node.state === 'dormant' ? ' [' + node.state + ']' : ''
     console.log(indent + '- ' + (node.title || node.url || '(empty)') + ' (' + node.id + ')' + state)
     node.children.forEach(function (child) {
       printNode(child, indent + '  ')
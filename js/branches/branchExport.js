@@ -0,0 +1,295 @@
+// Branch Browser: Research trail export and import
+// Serializes a branch and its descendants to a portable file (see docs/branchTrails.md)
+
+var { ipcRenderer } = require('electron')
+var fs = require('fs')
+var tabBar = require('navbar/tabBar.js')
+var branchLabels = require('branches/branchLabels.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchExport] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var TRAIL_FORMAT = 'useful-branch-trail'
+var TRAIL_VERSION = 1
+
+// Build a portable node for a branch - ids and tab ids are local, so they are left out
+function buildTrailNode (branch) {
+  var bs = getBranchState()
+
+  return {
+    title: branch.title || '',
+    url: branch.url || '',
+    createdAt: branch.createdAt || null,
+    lastActiveAt: branch.lastActiveAt || null,
+    history: (branch.history || []).map(function (entry) {
+      return { url: entry.url, title: entry.title || '', timestamp: entry.timestamp || null }
+    }),
+    historyIndex: typeof branch.historyIndex === 'number' ? branch.historyIndex : -1,
+    label: branch.label || '',
+    color: branch.color || null,
+    note: branch.note || '',
+    labelInherit: !!branch.labelInherit,
+    children: bs.getChildren(branch.id).map(buildTrailNode)
+  }
+}
+
+// Get the trail object for a branch and all of its descendants
+// Several branches are exported as the children of an empty root node
+function getTrail (branchIds) {
+  var bs = getBranchState()
+  if (!bs) return null
+
+  var branches = [].concat(branchIds).map(bs.get).filter(Boolean)
+  if (branches.length === 0) return null
+
+  var root
+  if (branches.length === 1) {
+    root = buildTrailNode(branches[0])
+  } else {
+    root = {
+      title: branches.length + ' branches',
+      url: '',
+      createdAt: Date.now(),
+      lastActiveAt: null,
+      history: [],
+      historyIndex: -1,
+      children: branches.map(buildTrailNode)
+    }
+  }
+
+  return {
+    format: TRAIL_FORMAT,
+    version: TRAIL_VERSION,
+    exportedAt: Date.now(),
+    root: root
+  }
+}
+
+function formatDate (timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : ''
+}
+
+// Parentheses and spaces would end the link early, as in Wikipedia's Foo_(bar) pages
+function formatMarkdownLink (title, url) {
+  var escapedUrl = url.replace(/[() ]/g, function (char) {
+    return '%' + char.charCodeAt(0).toString(16).toUpperCase()
+  })
+  return '[' + title.replace(/[[\]]/g, '') + '](' + escapedUrl + ')'
+}
+
+// Readable Markdown outline of a trail
+function toMarkdown (trail) {
+  var lines = ['# ' + (trail.root.title || trail.root.url || 'Research trail'), '']
+
+  function addNode (node, depth) {
+    var indent = '  '.repeat(depth)
+    var title = node.title || node.url || 'Untitled'
+    lines.push(indent + '- ' + (node.url ? formatMarkdownLink(title, node.url) : title.replace(/[[\]]/g, '')))
+
+    // Pages visited within the branch, oldest first
+    if (node.history.length > 1) {
+      node.history.forEach(function (entry) {
+        lines.push(indent + '  - _' + formatDate(entry.timestamp) + '_ ' + formatMarkdownLink(entry.title || entry.url, entry.url))
+      })
+    }
+
+    node.children.forEach(function (child) {
+      addNode(child, depth + 1)
+    })
+  }
+
+  addNode(trail.root, 0)
+  lines.push('', '_Exported ' + formatDate(trail.exportedAt) + '_', '')
+
+  return lines.join('\n')
+}
+
+function escapeHTML (text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// Readable HTML outline of a trail
+function toHTML (trail) {
+  function renderNode (node) {
+    var title = escapeHTML(node.title || node.url || 'Untitled')
+    var html = '<li>' + (node.url ? '<a href="' + escapeHTML(node.url) + '">' + title + '</a>' : title)
+
+    if (node.history.length > 1) {
+      html += '<ol class="history">' + node.history.map(function (entry) {
+        return '<li><time>' + escapeHTML(formatDate(entry.timestamp)) + '</time> <a href="' + escapeHTML(entry.url) + '">' + escapeHTML(entry.title || entry.url) + '</a></li>'
+      }).join('') + '</ol>'
+    }
+
+    if (node.children.length > 0) {
+      html += '<ul>' + node.children.map(renderNode).join('') + '</ul>'
+    }
+
+    return html + '</li>'
+  }
+
+  var heading = escapeHTML(trail.root.title || trail.root.url || 'Research trail')
+
+  return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>' + heading + '</title>\n' +
+    '<style>body{font-family:sans-serif;max-width:50em;margin:2em auto}ol.history{color:#666;font-size:0.9em}</style>\n' +
+    '</head>\n<body>\n<h1>' + heading + '</h1>\n<ul>' + renderNode(trail.root) + '</ul>\n' +
+    '<p><em>Exported ' + escapeHTML(formatDate(trail.exportedAt)) + '</em></p>\n</body>\n</html>\n'
+}
+
+// Check that parsed data is a trail this version understands
+function validateTrail (trail) {
+  if (!trail || trail.format !== TRAIL_FORMAT) {
+    throw new Error('Not a research trail file')
+  }
+  if (trail.version > TRAIL_VERSION) {
+    throw new Error('Research trail was created by a newer version (' + trail.version + ')')
+  }
+
+  function validateNode (node) {
+    if (!node || typeof node !== 'object' || !Array.isArray(node.history) || !Array.isArray(node.children)) {
+      throw new Error('Research trail contains an invalid branch')
+    }
+    node.children.forEach(validateNode)
+  }
+  validateNode(trail.root)
+}
+
+// Trail files come from other people, so only web pages are opened from them
+function getImportableUrl (url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : ''
+}
+
+// Recreate a trail node (and its children) as branches under parentId
+// Each branch gets a tab without a webview, so nothing loads until it is selected
+async function importNode (node, parentId) {
+  var bs = getBranchState()
+
+  var url = getImportableUrl(node.url)
+  var title = typeof node.title === 'string' ? node.title : ''
+
+  var branchId = await bs.create(null, parentId, url, title)
+  var history = node.history.filter(function (entry) {
+    return entry && getImportableUrl(entry.url)
+  }).map(function (entry) {
+    return { url: entry.url, title: String(entry.title || ''), timestamp: entry.timestamp || null }
+  }).slice(-50)
+
+  // like getHistoryIndex, a trail without a usable index is at its last entry (-1 = no history)
+  var historyIndex = typeof node.historyIndex === 'number' && isFinite(node.historyIndex) ? node.historyIndex : history.length - 1
+
+  await bs.update(branchId, {
+    history: history,
+    historyIndex: history.length > 0 ? Math.min(Math.max(historyIndex, 0), history.length - 1) : -1,
+    createdAt: node.createdAt || Date.now(),
+    state: 'sleeping'
+  })
+  await branchLabels.setLabel(branchId, {
+    label: typeof node.label === 'string' ? node.label : '',
+    color: node.color,
+    note: typeof node.note === 'string' ? node.note : '',
+    labelInherit: node.labelInherit
+  })
+
+  var tabId = tabs.add({
+    url: url,
+    title: title,
+    branchId: branchId,
+    parentBranchId: parentId
+  }, { atEnd: true })
+  tabBar.addTab(tabId)
+  await bs.update(branchId, { tabId: tabId })
+
+  for (var i = 0; i < node.children.length; i++) {
+    await importNode(node.children[i], branchId)
+  }
+
+  return branchId
+}
+
+// Import a trail as a new subtree under ROOT, returns the new top branch id
+async function importTrail (trail) {
+  var bs = getBranchState()
+  if (!bs) return null
+
+  validateTrail(trail)
+
+  var branchId = await importNode(trail.root, bs.getRootBranchId())
+  console.log('[BranchExport] Imported research trail as', branchId)
+
+  return branchId
+}
+
+// Ask for a file and save the branch (or array of branches) as JSON, Markdown or HTML depending on the extension
+async function exportToFile (branchIds) {
+  var trail = getTrail(branchIds)
+  if (!trail) return
+
+  var name = (trail.root.title || 'research-trail').replace(/[^a-z0-9 _-]/gi, '').trim().substring(0, 60) || 'research-trail'
+
+  var savePath = await ipcRenderer.invoke('showSaveDialog', {
+    defaultPath: name + '.json',
+    filters: [
+      { name: 'Research trail', extensions: ['json'] },
+      { name: 'Markdown outline', extensions: ['md'] },
+      { name: 'HTML outline', extensions: ['html'] }
+    ]
+  })
+
+  if (!savePath) {
+    return
+  }
+
+  var data
+  if (/\.(md|markdown)$/i.test(savePath)) {
+    data = toMarkdown(trail)
+  } else if (/\.html?$/i.test(savePath)) {
+    data = toHTML(trail)
+  } else {
+    data = JSON.stringify(trail, null, 2)
+  }
+
+  fs.writeFile(savePath, data, function (err) {
+    if (err) {
+      console.error('[BranchExport] Failed to write trail:', err)
+    }
+  })
+}
+
+// Ask for a trail file and import it
+async function importFromFile () {
+  var filePath = await ipcRenderer.invoke('showOpenDialog', {
+    filters: [
+      { name: 'Research trail', extensions: ['json'] }
+    ]
+  })
+
+  if (!filePath || !filePath[0]) {
+    return null
+  }
+
+  var data = fs.readFileSync(filePath[0], 'utf-8')
+  return importTrail(JSON.parse(data))
+}
+
+module.exports = {
+  getTrail,
+  toMarkdown,
+  toHTML,
+  importTrail,
+  exportToFile,
+  importFromFile
+}
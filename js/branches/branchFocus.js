@@ -0,0 +1,146 @@
+// Branch Browser: Per-branch focus
+// Locks the window to one branch and its descendants - other branches are hidden,
+// new tabs open inside the subtree, and switching to tabs outside it is refused until focus is exited
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchFocus] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var STORAGE_KEY = 'branchFocus.branchId'
+
+var focusedBranchId = localStorage.getItem(STORAGE_KEY) || null
+var listeners = []
+
+function emitChange () {
+  listeners.forEach(function (listener) {
+    listener(focusedBranchId)
+  })
+}
+
+function onChange (listener) {
+  listeners.push(listener)
+}
+
+// The focused branch, or null - focus ends by itself if the branch was deleted
+function getFocusedBranch () {
+  if (!focusedBranchId) return null
+
+  var bs = getBranchState()
+  // Until branches are loaded from the database, there's nothing to check against
+  if (!bs || !bs.isLoaded()) return null
+
+  var branch = bs.get(focusedBranchId)
+  if (!branch) {
+    exit()
+    return null
+  }
+  return branch
+}
+
+function isActive () {
+  return !!getFocusedBranch()
+}
+
+// Whether a branch is the focused branch or one of its descendants
+function isInFocus (branchId) {
+  var branch = getFocusedBranch()
+  if (!branch) return true
+  if (!branchId) return false
+  if (branchId === branch.id) return true
+
+  return getBranchState().getAncestors(branchId).some(function (ancestor) {
+    return ancestor.id === branch.id
+  })
+}
+
+// Tabs without a branch yet are new - branchEvents.js puts them inside the focused subtree
+function allowsTab (tabId) {
+  if (!isActive()) return true
+
+  var bs = getBranchState()
+  var branch = bs.getByTabId(tabId)
+  return !branch || isInFocus(branch.id)
+}
+
+// A task can be opened if it has tabs from the focused subtree, or if none are open anywhere
+function allowsTask (taskId) {
+  if (!isActive()) return true
+
+  var hasFocusedTab = function (task) {
+    return task.tabs.get().some(function (tab) {
+      return tab.branchId && isInFocus(tab.branchId)
+    })
+  }
+
+  var task = tasks.get(taskId)
+  if (task && hasFocusedTab(task)) return true
+
+  var isOpenElsewhere = false
+  tasks.forEach(function (otherTask) {
+    if (hasFocusedTab(otherTask)) {
+      isOpenElsewhere = true
+    }
+  })
+  return !isOpenElsewhere
+}
+
+// Parent for a new branch - anything that would open outside the subtree goes under the focused branch
+function getParentForNewBranch (parentId) {
+  var branch = getFocusedBranch()
+  if (!branch || isInFocus(parentId)) {
+    return parentId
+  }
+  return branch.id
+}
+
+function enter (branchId) {
+  var bs = getBranchState()
+  if (!bs || !bs.get(branchId) || bs.isRoot(branchId)) return false
+
+  focusedBranchId = branchId
+  localStorage.setItem(STORAGE_KEY, branchId)
+  console.log('[BranchFocus] Focused on', branchId)
+  emitChange()
+  return true
+}
+
+function exit () {
+  if (!focusedBranchId) return
+
+  focusedBranchId = null
+  localStorage.removeItem(STORAGE_KEY)
+  console.log('[BranchFocus] Exited focus')
+  emitChange()
+}
+
+// Show that an action was refused because of branch focus
+function warn () {
+  var bar = document.getElementById('branch-focus-bar')
+  if (!bar) return
+
+  // branchPanel.js removes the class when the animation ends
+  bar.classList.add('refused')
+}
+
+module.exports = {
+  isActive,
+  isInFocus,
+  allowsTab,
+  allowsTask,
+  getFocusedBranch,
+  getParentForNewBranch,
+  enter,
+  exit,
+  warn,
+  onChange
+}
@@ -0,0 +1,103 @@
+// Branch Browser: Graph view
+// Serves the branch tree to the useful://app/pages/branchGraph page and opens branches clicked there
+
+var webviews = require('webviews.js')
+var browserUI = require('browserUI.js')
+var urlParser = require('util/urlParser.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchGraph] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var GRAPH_URL = 'useful://app/pages/branchGraph/index.html'
+
+// Get the tree and the branch of the selected tab, in the form the graph page expects
+function getGraphData () {
+  var bs = getBranchState()
+  var selectedBranch = bs ? bs.getByTabId(tabs.getSelected()) : null
+
+  return {
+    tree: bs ? bs.getTree() : [],
+    selectedBranchId: selectedBranch ? selectedBranch.id : null
+  }
+}
+
+function isGraphTab (tab) {
+  return tab.url && tab.url.startsWith(GRAPH_URL)
+}
+
+function sendTree (tabId) {
+  webviews.callAsync(tabId, 'send', ['receiveBranchTree', getGraphData()])
+}
+
+// Push the current tree to every open graph page
+var updateOpenGraphs = debounce(function () {
+  tasks.forEach(function (task) {
+    task.tabs.forEach(function (tab) {
+      if (isGraphTab(tab) && tab.hasWebContents) {
+        try {
+          sendTree(tab.id)
+        } catch (e) {
+          // webview might not actually exist
+        }
+      }
+    })
+  })
+}, 500)
+
+// Open the graph view, or switch to it if it is already open
+function show () {
+  var existing = tabs.get().find(isGraphTab)
+  if (existing) {
+    browserUI.switchToTab(existing.id)
+    return
+  }
+
+  browserUI.addTab(tabs.add({ url: GRAPH_URL }), { enterEditMode: false })
+}
+
+function initialize () {
+  webviews.bindIPC('getBranchTree', function (tabId) {
+    if (!urlParser.isInternalURL(tabs.get(tabId).url)) {
+      throw new Error()
+    }
+    sendTree(tabId)
+  })
+
+  webviews.bindIPC('openBranch', function (tabId, args) {
+    if (!urlParser.isInternalURL(tabs.get(tabId).url)) {
+      throw new Error()
+    }
+
+    var bs = getBranchState()
+    var branch = bs ? bs.get(args[0].branchId) : null
+    if (!branch) return
+
+    require('branches/branchPanel.js').handleBranchClick(branch)
+  })
+
+  tasks.on('tab-added', updateOpenGraphs)
+  tasks.on('tab-destroyed', updateOpenGraphs)
+  tasks.on('tab-selected', updateOpenGraphs)
+  tasks.on('tab-updated', function (tabId, key) {
+    if (key === 'url' || key === 'title') {
+      updateOpenGraphs()
+    }
+  })
+}
+
+module.exports = {
+  initialize,
+  show,
+  update: updateOpenGraphs
+}
@@ -0,0 +1,197 @@
+// Branch Browser: Labels, colours and notes
+// Lets the user record why a branch was opened. A label and colour can optionally
+// apply to all of the branch's descendants; notes always belong to one branch.
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchLabels] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var COLORS = {
+  grey: '#9aa0a6',
+  blue: '#8ab4f8',
+  red: '#f28b82',
+  yellow: '#fdd663',
+  green: '#81c995',
+  pink: '#ff8bcb',
+  purple: '#c58af9',
+  cyan: '#78d9ec',
+  orange: '#fcad70'
+}
+
+function getColorValue (color) {
+  return COLORS[color] || null
+}
+
+// The label and colour shown for a branch - its own, or the closest ancestor's that applies to descendants
+function getEffectiveLabel (branchId) {
+  var bs = getBranchState()
+  var branch = bs ? bs.get(branchId) : null
+  if (!branch) return null
+
+  if (branch.label || branch.color) {
+    return { label: branch.label || '', color: branch.color || null, fromBranchId: branch.id }
+  }
+
+  var ancestor = bs.getAncestors(branchId).find(function (ancestor) {
+    return ancestor.labelInherit && (ancestor.label || ancestor.color)
+  })
+  if (ancestor) {
+    return { label: ancestor.label || '', color: ancestor.color || null, fromBranchId: ancestor.id }
+  }
+
+  return null
+}
+
+async function setLabel (branchId, data) {
+  var bs = getBranchState()
+  if (!bs) return false
+
+  return bs.update(branchId, {
+    label: (data.label || '').trim(),
+    color: COLORS[data.color] ? data.color : null,
+    labelInherit: !!data.labelInherit,
+    note: (data.note || '').trim()
+  })
+}
+
+// Editor shown in the sidebar, below the tree
+var editor = {
+  container: null,
+  branchId: null,
+  saveCurrent: null,
+
+  initialize: function () {
+    this.container = document.getElementById('branch-label-editor')
+    if (!this.container) return
+
+    var self = this
+    this.container.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        self.hide()
+      } else if (e.key === 'Enter' && (e.target.tagName === 'INPUT' || e.metaKey || e.ctrlKey)) {
+        e.preventDefault()
+        self.saveCurrent()
+      }
+    })
+  },
+
+  show: function (branch, onSave) {
+    if (!this.container) return
+
+    var self = this
+    this.branchId = branch.id
+    empty(this.container)
+
+    var heading = document.createElement('div')
+    heading.className = 'label-editor-heading'
+    heading.textContent = 'Label & Note'
+    this.container.appendChild(heading)
+
+    var labelInput = document.createElement('input')
+    labelInput.type = 'text'
+    labelInput.className = 'label-editor-label'
+    labelInput.placeholder = 'Label'
+    labelInput.value = branch.label || ''
+    this.container.appendChild(labelInput)
+
+    // Colour swatches, the first one clears the colour
+    var selectedColor = branch.color || null
+    var swatches = document.createElement('div')
+    swatches.className = 'label-editor-colors'
+    ;[null].concat(Object.keys(COLORS)).forEach(function (color) {
+      var swatch = document.createElement('button')
+      swatch.className = 'label-editor-color' + (color === selectedColor ? ' selected' : '')
+      swatch.title = color || 'No colour'
+      if (color) {
+        swatch.style.backgroundColor = COLORS[color]
+      } else {
+        swatch.classList.add('no-color')
+      }
+      swatch.addEventListener('click', function () {
+        selectedColor = color
+        swatches.querySelectorAll('.label-editor-color').forEach(function (el) {
+          el.classList.toggle('selected', el === swatch)
+        })
+      })
+      swatches.appendChild(swatch)
+    })
+    this.container.appendChild(swatches)
+
+    var inheritLabel = document.createElement('label')
+    inheritLabel.className = 'label-editor-inherit'
+    var inheritCheckbox = document.createElement('input')
+    inheritCheckbox.type = 'checkbox'
+    inheritCheckbox.checked = !!branch.labelInherit
+    inheritLabel.appendChild(inheritCheckbox)
+    inheritLabel.appendChild(document.createTextNode(' Apply to sub-branches'))
+    this.container.appendChild(inheritLabel)
+
+    var noteInput = document.createElement('textarea')
+    noteInput.className = 'label-editor-note'
+    noteInput.placeholder = 'Why did you open this?'
+    noteInput.rows = 3
+    noteInput.value = branch.note || ''
+    this.container.appendChild(noteInput)
+
+    var buttons = document.createElement('div')
+    buttons.className = 'label-editor-buttons'
+
+    var cancelButton = document.createElement('button')
+    cancelButton.textContent = 'Cancel'
+    cancelButton.addEventListener('click', function () {
+      self.hide()
+    })
+    buttons.appendChild(cancelButton)
+
+    var saveButton = document.createElement('button')
+    saveButton.className = 'primary'
+    saveButton.textContent = 'Save'
+    saveButton.addEventListener('click', function () {
+      self.saveCurrent()
+    })
+    buttons.appendChild(saveButton)
+
+    this.container.appendChild(buttons)
+
+    this.saveCurrent = function () {
+      setLabel(self.branchId, {
+        label: labelInput.value,
+        color: selectedColor,
+        labelInherit: inheritCheckbox.checked,
+        note: noteInput.value
+      }).then(function () {
+        self.hide()
+        if (onSave) onSave()
+      })
+    }
+
+    this.container.hidden = false
+    labelInput.focus()
+  },
+
+  hide: function () {
+    if (!this.container) return
+    this.container.hidden = true
+    this.branchId = null
+    this.saveCurrent = null
+    empty(this.container)
+  }
+}
+
+module.exports = {
+  COLORS,
+  getColorValue,
+  getEffectiveLabel,
+  setLabel,
+  editor
+}
@@ -0,0 +1,132 @@
+// Branch Browser: Keyboard navigation of the branch tree
+// Moves between the parent, children and siblings of the selected tab's branch (shortcuts are in defaultKeybindings.js)
+
+var branchPanel = require('branches/branchPanel.js')
+var branchFocus = require('branches/branchFocus.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchNavigation] Failed to load branchState:', e)
+    return null
+  }
+}
+
+function getCurrentBranch () {
+  var bs = getBranchState()
+  if (!bs || !bs.isLoaded()) return null
+  return bs.getByTabId(tabs.getSelected())
+}
+
+// Closed and dormant branches are skipped - their open children take their place, as in the sidebar when closed branches are hidden
+function getOpenChildren (branchId) {
+  var bs = getBranchState()
+  var result = []
+  bs.getChildren(branchId).forEach(function (child) {
+    if (bs.isRestorable(child.id)) {
+      result = result.concat(getOpenChildren(child.id))
+    } else {
+      result.push(child)
+    }
+  })
+  return result
+}
+
+// The nearest open ancestor, or null at the top level (ROOT isn't shown) or at the edge of branch focus
+function getOpenParent (branch) {
+  var bs = getBranchState()
+  var parent = bs.get(branch.parentId)
+  while (parent && bs.isRestorable(parent.id)) {
+    parent = bs.get(parent.parentId)
+  }
+  if (!parent || bs.isRoot(parent.id) || !branchFocus.isInFocus(parent.id)) {
+    return null
+  }
+  return parent
+}
+
+function getSiblings (branch) {
+  var parent = getOpenParent(branch)
+  if (parent) {
+    return getOpenChildren(parent.id)
+  }
+
+  // While focused, the focused branch is shown alone
+  var focusedBranch = branchFocus.getFocusedBranch()
+  if (focusedBranch) {
+    return [focusedBranch]
+  }
+
+  // The top level is ROOT's children, followed by any orphaned branches, as in branchPanel.render
+  var bs = getBranchState()
+  var orphans = bs.getRoots().filter(function (root) {
+    return !bs.isRoot(root.id) && !bs.isRestorable(root.id)
+  })
+  return getOpenChildren(bs.getRootBranchId()).concat(orphans)
+}
+
+function goToBranch (branch) {
+  if (!branch) return
+  branchPanel.handleBranchClick(branch)
+  branchPanel.revealBranch(branch.id)
+}
+
+function goToParent () {
+  var branch = getCurrentBranch()
+  if (branch) {
+    goToBranch(getOpenParent(branch))
+  }
+}
+
+function goToFirstChild () {
+  var branch = getCurrentBranch()
+  if (branch) {
+    goToBranch(getOpenChildren(branch.id)[0])
+  }
+}
+
+// direction is 1 for the next sibling, -1 for the previous one
+function goToSibling (direction) {
+  var branch = getCurrentBranch()
+  if (!branch) return
+
+  var siblings = getSiblings(branch)
+  var index = siblings.findIndex(function (sibling) {
+    return sibling.id === branch.id
+  })
+  goToBranch(siblings[index + direction])
+}
+
+function toggleCollapse () {
+  var branch = getCurrentBranch()
+  if (branch && getBranchState().getChildren(branch.id).length > 0) {
+    branchPanel.toggleCollapse(branch.id)
+    branchPanel.revealBranch(branch.id)
+  }
+}
+
+// Close the selected branch together with its children
+function closeWithChildren () {
+  var bs = getBranchState()
+  var branch = getCurrentBranch()
+  if (!branch || bs.isRoot(branch.id)) return
+
+  var node = branchPanel.findTreeNode(bs.getTree(), branch.id)
+  if (node) {
+    branchPanel.closeBranch(node)
+  }
+}
+
+module.exports = {
+  goToParent,
+  goToFirstChild,
+  goToSibling,
+  toggleCollapse,
+  closeWithChildren
+}
@@ -4,8 +4,21 @@
 // Lazy-loaded modules to avoid crashing if they fail
 var branchState = null
 var browserUI = require('browserUI.js')
+var tabBar = require('navbar/tabBar.js')
+var Sortable = require('sortablejs')
 var webviews = require('webviews.js')
 var settings = require('util/settings/settings.js')
+var browserConfig = require('config/browserConfig.js')
+var branchSleep = require('branches/branchSleep.js')
+var branchExport = require('branches/branchExport.js')
+var branchSearch = require('branches/branchSearch.js')
+var branchLabels = require('branches/branchLabels.js')
+var cleanLink = require('util/cleanLink.js')
+var branchRepair = require('branches/branchRepair.js')
+var branchFocus = require('branches/branchFocus.js')
+var downloadHistory = require('downloadHistory.js')
+var places = require('places/places.js')
+var focusMode = require('focusMode.js')
 
 // Safely get branchState module (lazy load with error handling)
 function getBranchState () {
@@ -32,7 +45,7 @@ console.log('[BranchPanel] browserUI.addTab:', typeof browserUI.addTab)
 console.log('[BranchPanel] browserUI.switchToTab:', typeof browserUI.switchToTab)
 console.log('[BranchPanel] browserUI.closeTab:', typeof browserUI.closeTab)
 
-var SIDEBAR_WIDTH_EXPANDED = 260
+// The expanded width comes from browserConfig ui.sidebarWidth
 var SIDEBAR_WIDTH_COLLAPSED = 48
 
 var MAX_PINNED_SITES = Infinity
@@ -52,8 +65,21 @@ var branchPanel = {
   toggleSidebarBtn: null,
   expandSidebarBtn: null,
   urlInput: null,
+  focusBar: null,
+  searchInput: null,
+  searchQuery: '',
+  searchResults: null, // { matches, visible } while the tree is filtered
+  searchHitIndex: 0,
+  selectionBar: null,
+  selectedBranchIds: new Set(), // branches selected with shift/ctrl-click for bulk actions
+  selectionAnchorId: null,
   isSidebarCollapsed: false,
+  expandedWidth: 0, // width of the expanded sidebar currently included in the webview margin
+  appliedConfig: null, // ui settings last applied by applyConfig
   collapsedBranches: new Set(),
+  sortableInstance: null,
+  isDraggingBranch: false,
+  dropIntoTarget: null, // branch item that the dragged branch will become a child of
   pinnedSites: [],
   contextMenu: null,
   isNewTabMode: false, // Track if we're creating a new tab vs navigating current
@@ -61,6 +87,7 @@ var branchPanel = {
   _navTokenCounter: 0,
 
   initialize: function () {
+    this.expandedWidth = browserConfig.get('ui.sidebarWidth')
     this.container = document.getElementById('branch-sidebar')
     this.treeContainer = document.getElementById('branch-tree')
     this.statusContainer = document.getElementById('branch-count')
@@ -77,6 +104,9 @@ var branchPanel = {
     // New tab button (next to URL bar)
     this.newTabBtn = document.getElementById('new-tab-btn')
     this.urlInput = document.getElementById('sidebar-url-input')
+    this.searchInput = document.getElementById('branch-search-input')
+    this.focusBar = document.getElementById('branch-focus-bar')
+    this.selectionBar = document.getElementById('branch-selection-bar')
     if (!this.container || !this.treeContainer) {
       console.warn('[BranchPanel] Container elements not found')
       return
@@ -97,6 +127,11 @@ var branchPanel = {
 
     // Setup button handlers
     this.setupButtonHandlers()
+    this.setupTreeDragging()
+    this.setupSearch()
+    this.setupSelection()
+    this.setupFocusBar()
+    branchLabels.editor.initialize()
 
     // Ensure ROOT branch exists and clean up stale branches
     // Delay to ensure tabs are loaded first
@@ -264,6 +299,18 @@ var branchPanel = {
       })
     }
 
+    // Bottom toolbar: Graph button (opens the full-page branch graph)
+    var graphBtn = document.getElementById('sidebar-graph-btn')
+    if (graphBtn) {
+      graphBtn.addEventListener('click', function () {
+        try {
+          require('branches/branchGraph.js').show()
+        } catch (e) {
+          console.error('[BranchPanel] Failed to open branch graph:', e)
+        }
+      })
+    }
+
     // URL Input: Navigate on Enter key, cancel on Escape
     if (this.urlInput) {
       console.log('[BranchPanel] Attaching URL input handler')
@@ -309,6 +356,11 @@ var branchPanel = {
     // Restore collapsed state from localStorage
     this.restoreSidebarState()
 
+    // Apply changes from the Branches section of the settings page as they're made
+    settings.listen('branchBrowser', function () {
+      self.applyConfig()
+    })
+
     // Breadcrumb right-click context menu for Copy URL
     if (this.breadcrumbContainer) {
       this.breadcrumbContainer.addEventListener('contextmenu', function (e) {
@@ -360,11 +412,11 @@ var branchPanel = {
     }
 
     // Adjust webview margin - adjustMargin is ADDITIVE, use difference!
-    // Collapsing: 260 -> 48 = -212
-    // Expanding: 48 -> 260 = +212
+    // Collapsing: expanded width -> 48
+    // Expanding: 48 -> expanded width
     var marginDelta = this.isSidebarCollapsed
-      ? -(SIDEBAR_WIDTH_EXPANDED - SIDEBAR_WIDTH_COLLAPSED)
-      : (SIDEBAR_WIDTH_EXPANDED - SIDEBAR_WIDTH_COLLAPSED)
+      ? -(this.expandedWidth - SIDEBAR_WIDTH_COLLAPSED)
+      : (this.expandedWidth - SIDEBAR_WIDTH_COLLAPSED)
     try {
       webviews.adjustMargin([0, 0, 0, marginDelta])
     } catch (e) {
@@ -399,17 +451,18 @@ var branchPanel = {
     console.log('[BranchPanel] Sidebar', this.isSidebarCollapsed ? 'collapsed (favicon-only)' : 'expanded')
   },
 
+  // Start collapsed if the sidebar was collapsed last time, or always when ui.collapsedByDefault is set
   restoreSidebarState: function () {
     var saved = localStorage.getItem('branchPanel.sidebarCollapsed')
-    if (saved === 'true') {
+    if (saved === 'true' || browserConfig.get('ui.collapsedByDefault')) {
       // Restore collapsed-minimal state without animation
       this.isSidebarCollapsed = true
       this.container.classList.add('collapsed-minimal')
 
-      // Initialize already added SIDEBAR_WIDTH_EXPANDED margin
-      // We need to adjust to collapsed width: 260 -> 48 = -212
+      // default.js already added the expanded width margin
+      // We need to adjust to collapsed width: expanded width -> 48
       try {
-        webviews.adjustMargin([0, 0, 0, -(SIDEBAR_WIDTH_EXPANDED - SIDEBAR_WIDTH_COLLAPSED)])
+        webviews.adjustMargin([0, 0, 0, -(this.expandedWidth - SIDEBAR_WIDTH_COLLAPSED)])
       } catch (e) {
         console.error('[BranchPanel] Failed to adjust margin on restore:', e)
       }
@@ -435,6 +488,36 @@ var branchPanel = {
     }
   },
 
+  // Apply the ui settings - called on startup and whenever branchBrowser settings change
+  applyConfig: function () {
+    var width = browserConfig.get('ui.sidebarWidth')
+    var collapsedByDefault = browserConfig.get('ui.collapsedByDefault')
+
+    if (width !== this.expandedWidth) {
+      if (!this.isSidebarCollapsed) {
+        try {
+          webviews.adjustMargin([0, 0, 0, width - this.expandedWidth])
+        } catch (e) {
+          console.error('[BranchPanel] Failed to adjust margin:', e)
+        }
+      }
+      this.expandedWidth = width
+    }
+    document.documentElement.style.setProperty('--sidebar-width', width + 'px')
+
+    var previous = this.appliedConfig
+    this.appliedConfig = { collapsedByDefault: collapsedByDefault }
+    if (!previous) return
+
+    // Turning collapsed-by-default on or off also applies it to the current window
+    if (collapsedByDefault !== previous.collapsedByDefault && collapsedByDefault !== this.isSidebarCollapsed) {
+      this.toggleSidebar()
+    }
+
+    // Sleeping indicators and closed branches are drawn by render
+    this.render()
+  },
+
   // Focus the sidebar URL input for new tab creation
   // When user presses Enter, a new tab is created and navigated
   focusUrlInput: function () {
@@ -588,6 +671,126 @@ var branchPanel = {
     })
   },
 
+  // =========================================
+  // DRAG AND DROP - Re-parent and reorder branches
+  // =========================================
+
+  setupTreeDragging: function () {
+    var self = this
+
+    // Sortable handles dropping between branches; the inverted swap zone leaves
+    // the middle half of each row free for dropping onto a branch
+    this.sortableInstance = new Sortable(this.treeContainer, {
+      draggable: '.branch-item',
+      ghostClass: 'branch-drop-placeholder',
+      animation: 150,
+      swapThreshold: 0.5,
+      invertSwap: true,
+      scroll: true,
+      onStart: function () {
+        self.isDraggingBranch = true
+        self.treeContainer.classList.add('is-dragging-branch')
+      },
+      onMove: function () {
+        // Don't reorder while hovering over the middle of a branch
+        return !self.dropIntoTarget
+      },
+      onEnd: function (e) {
+        var dropTarget = self.dropIntoTarget
+        self.setDropIntoTarget(null)
+        self.isDraggingBranch = false
+        self.treeContainer.classList.remove('is-dragging-branch')
+
+        var moved = dropTarget || e.oldIndex !== e.newIndex
+        var drop = moved ? self.handleBranchDrop(e.item, dropTarget) : Promise.resolve()
+        drop.then(function () {
+          self.render()
+        })
+      }
+    })
+
+    // Track whether the pointer is over the middle of a branch (drop as child)
+    // Capture phase so this runs before Sortable decides whether to reorder
+    this.treeContainer.addEventListener('dragover', function (e) {
+      if (!self.isDraggingBranch) return
+
+      var target = e.target.closest('.branch-item')
+      if (!target || target.classList.contains('sortable-chosen')) {
+        self.setDropIntoTarget(null)
+        return
+      }
+
+      var rect = target.getBoundingClientRect()
+      var offset = (e.clientY - rect.top) / rect.height
+      self.setDropIntoTarget(offset > 0.25 && offset < 0.75 ? target : null)
+    }, true)
+  },
+
+  setDropIntoTarget: function (item) {
+    if (this.dropIntoTarget === item) return
+    if (this.dropIntoTarget) {
+      this.dropIntoTarget.classList.remove('drop-into')
+    }
+    this.dropIntoTarget = item
+    if (item) {
+      item.classList.add('drop-into')
+    }
+  },
+
+  // Work out where a dropped branch goes from where it landed in the rendered list
+  handleBranchDrop: async function (item, dropTarget) {
+    var bs = getBranchState()
+    if (!bs) return false
+
+    var branchId = item.getAttribute('data-branch-id')
+
+    // Dropped onto a branch - becomes its last child
+    if (dropTarget) {
+      return this.moveBranch(branchId, dropTarget.getAttribute('data-branch-id'), null)
+    }
+
+    // Dropped between two rows - the rows around it decide the new parent
+    var prev = item.previousElementSibling
+    var next = item.nextElementSibling
+    var prevBranch = prev ? bs.get(prev.getAttribute('data-branch-id')) : null
+    var nextBranch = next ? bs.get(next.getAttribute('data-branch-id')) : null
+
+    if (prevBranch && nextBranch && nextBranch.parentId === prevBranch.id) {
+      // Between a branch and its first child - becomes the first child
+      return this.moveBranch(branchId, prevBranch.id, nextBranch.id)
+    } else if (nextBranch) {
+      // Becomes a sibling just before the next row (top level rows are children of ROOT)
+      return this.moveBranch(branchId, nextBranch.parentId, nextBranch.id)
+    } else if (prevBranch) {
+      // Dropped at the end - becomes the last sibling of the row above
+      return this.moveBranch(branchId, prevBranch.parentId, null)
+    }
+
+    return false
+  },
+
+  // Move a branch in the tree and keep its tab's parent reference in sync
+  moveBranch: async function (branchId, newParentId, beforeId) {
+    var bs = getBranchState()
+    if (!bs) return false
+
+    var moved = await bs.move(branchId, newParentId, beforeId)
+    if (!moved) return false
+
+    var branch = bs.get(branchId)
+    var task = branch.tabId ? tasks.getTaskContainingTab(branch.tabId) : null
+    if (task) {
+      task.tabs.update(branch.tabId, { parentBranchId: branch.parentId }, false)
+    }
+
+    // Expand the new parent so the moved branch stays visible
+    if (this.collapsedBranches.delete(branch.parentId)) {
+      this.saveCollapsedState()
+    }
+
+    return true
+  },
+
   // =========================================
   // BREADCRUMB RENDERING - Shows navigation history within branch
   // =========================================
@@ -953,6 +1156,9 @@ var branchPanel = {
   render: function () {
     if (!this.treeContainer) return
 
+    // Re-rendering would cancel a drag in progress; onEnd renders when it finishes
+    if (this.isDraggingBranch) return
+
     var bs = getBranchState()
     var tree = bs ? bs.getTree() : []
     var selectedTabId = safeTabs() ? safeTabs().getSelected() : null
@@ -962,9 +1168,38 @@ var branchPanel = {
       this.treeContainer.removeChild(this.treeContainer.firstChild)
     }
 
+    // Drop selected branches that no longer exist
+    if (bs) {
+      this.selectedBranchIds.forEach(function (branchId) {
+        if (!bs.get(branchId)) {
+          this.selectedBranchIds.delete(branchId)
+        }
+      }, this)
+    }
+    this.updateSelectionBar()
+
+    // Matches may have changed since the query was typed
+    if (this.searchQuery) {
+      this.searchResults = branchSearch.search(this.searchQuery)
+    }
+    this.treeContainer.classList.toggle('searching', !!this.searchResults)
+
+    this.updateFocusBar()
+
     // Render branches - but SKIP ROOT itself (it's the invisible starting point)
     // Only show ROOT's children at depth 0
     var self = this
+
+    // With branch focus on, only the focused branch and its descendants are shown
+    var focusedBranch = branchFocus.getFocusedBranch()
+    if (focusedBranch) {
+      var focusedNode = this.findTreeNode(tree, focusedBranch.id)
+      tree = []
+      if (focusedNode) {
+        this.renderBranch(focusedNode, 0, selectedTabId)
+      }
+    }
+
     tree.forEach(function (rootBranch) {
       if (bs && bs.isRoot(rootBranch.id)) {
         // Skip ROOT, render its children at depth 0
@@ -979,15 +1214,75 @@ var branchPanel = {
       }
     })
 
+    if (this.searchResults) {
+      this.updateSearchHit()
+    }
+
     // Update status
     this.updateStatus()
   },
 
+  findTreeNode: function (nodes, branchId) {
+    for (var i = 0; i < nodes.length; i++) {
+      if (nodes[i].id === branchId) return nodes[i]
+      var found = this.findTreeNode(nodes[i].children || [], branchId)
+      if (found) return found
+    }
+    return null
+  },
+
+  // Banner above the tree while a branch is focused, with a button to exit
+  updateFocusBar: function () {
+    if (!this.focusBar) return
+
+    var focusedBranch = branchFocus.getFocusedBranch()
+    this.focusBar.hidden = !focusedBranch
+    if (this.container) {
+      this.container.classList.toggle('branch-focused', !!focusedBranch)
+    }
+    if (!focusedBranch) return
+
+    var tab = focusedBranch.tabId && safeTabs() ? safeTabs().get(focusedBranch.tabId) : null
+    this.focusBar.querySelector('.branch-focus-title').textContent = (tab && tab.title) || focusedBranch.title || focusedBranch.url || 'Untitled'
+  },
+
+  // Focus on a branch, and go to it if the current tab is outside it
+  focusOnBranch: function (branch) {
+    if (!branchFocus.enter(branch.id)) return
+
+    if (safeTabs() && !branchFocus.allowsTab(safeTabs().getSelected())) {
+      this.handleBranchClick(branch)
+    }
+  },
+
   renderBranch: function (branch, depth, selectedTabId) {
     var self = this
+    var isClosed = branch.state === 'closed'
+    // dormant branches (forked history) have no tab either, but are always shown
+    var isDormant = branch.state === 'dormant'
+
+    // While searching, only matches and their ancestors are shown
+    if (this.searchResults && !this.searchResults.visible.has(branch.id)) {
+      return
+    }
+    var searchMatch = this.searchResults ? this.searchResults.matches.get(branch.id) : null
+    // Title and label matches are highlighted in place, other matches are shown below the title
+    var showMatchContext = searchMatch && searchMatch.field !== 'title' && searchMatch.field !== 'label'
+
+    // Hidden closed branches still show their open children, in the closed branch's place
+    if (isClosed && !browserConfig.get('archive.showClosed')) {
+      if (branch.children) {
+        branch.children.forEach(function (child) {
+          self.renderBranch(child, depth, selectedTabId)
+        })
+      }
+      return
+    }
+
     var isActive = branch.tabId === selectedTabId
     var hasChildren = branch.children && branch.children.length > 0
-    var isCollapsed = this.collapsedBranches.has(branch.id)
+    // Ancestors of search matches are expanded without changing the saved collapsed state
+    var isCollapsed = this.collapsedBranches.has(branch.id) && !this.searchResults
 
     // Get actual tab data for live title/url (safeTabs may be null during init)
     var tab = (branch.tabId && safeTabs()) ? safeTabs().get(branch.tabId) : null
@@ -998,6 +1293,32 @@ var branchPanel = {
     // Note: ROOT is never rendered, so no need for is-root class
     var item = document.createElement('div')
     item.className = 'branch-item' + (isActive ? ' active' : '')
+    if (branch.state === 'sleeping' && browserConfig.get('ui.showSleepingIndicator')) {
+      item.className += ' sleeping'
+      item.title = 'Sleeping - click to wake'
+    }
+    if (isClosed) {
+      item.className += ' closed'
+      item.title = 'Closed - click to restore'
+    }
+    if (isDormant) {
+      item.className += ' dormant'
+      item.title = 'Forked path - click to open'
+    }
+    if (searchMatch) {
+      item.className += ' search-match'
+    }
+    if (this.selectedBranchIds.has(branch.id)) {
+      item.className += ' multi-selected'
+    }
+    var effectiveLabel = branchLabels.getEffectiveLabel(branch.id)
+    if (effectiveLabel && effectiveLabel.color) {
+      item.style.setProperty('--branch-label-color', branchLabels.getColorValue(effectiveLabel.color))
+      item.className += ' has-label-color'
+    }
+    if (branch.note) {
+      item.title = branch.note
+    }
     item.setAttribute('data-depth', Math.min(depth, 5))
     item.setAttribute('data-branch-id', branch.id)
 
@@ -1046,12 +1367,30 @@ var branchPanel = {
     // Title
     var titleEl = document.createElement('span')
     titleEl.className = 'branch-title'
-    titleEl.textContent = displayTitle
+    if (effectiveLabel && effectiveLabel.label) {
+      var labelEl = document.createElement('span')
+      labelEl.className = 'branch-label'
+      this.setHighlightedText(labelEl, effectiveLabel.label)
+      titleEl.appendChild(labelEl)
+    }
+    if (branch.note) {
+      var noteIcon = document.createElement('i')
+      noteIcon.className = 'i carbon:notebook branch-note-icon'
+      titleEl.appendChild(noteIcon)
+    }
+    this.setHighlightedText(titleEl, displayTitle)
     content.appendChild(titleEl)
 
+    if (showMatchContext) {
+      var matchContext = document.createElement('span')
+      matchContext.className = 'branch-search-context'
+      this.setHighlightedText(matchContext, searchMatch.text)
+      content.appendChild(matchContext)
+    }
+
     // Source label (domain) - only show if different from title
     var sourceLabel = this.getSourceLabel(displayUrl)
-    if (sourceLabel && sourceLabel !== displayTitle) {
+    if (sourceLabel && sourceLabel !== displayTitle && !showMatchContext) {
       var source = document.createElement('span')
       source.className = 'branch-source'
       source.textContent = sourceLabel
@@ -1060,29 +1399,59 @@ var branchPanel = {
 
     item.appendChild(content)
 
+    // Files downloaded from this branch
+    var downloads = downloadHistory.getForBranch(branch.id)
+    if (downloads.length > 0) {
+      var downloadsBadge = document.createElement('button')
+      downloadsBadge.className = 'branch-downloads-badge'
+      downloadsBadge.innerHTML = '<i class="i carbon:download"></i>'
+      if (downloads.length > 1) {
+        downloadsBadge.appendChild(document.createTextNode(downloads.length))
+      }
+      downloadsBadge.title = downloads.map(function (entry) { return entry.name }).join('\n')
+      downloadsBadge.addEventListener('click', function (e) {
+        e.stopPropagation()
+        self.showDownloadsMenu(branch, e.clientX, e.clientY)
+      })
+      item.appendChild(downloadsBadge)
+    }
+
     // Close button (appears on hover)
     // Note: ROOT is never rendered, so all branches here can be closed
     var closeBtn = document.createElement('button')
     closeBtn.className = 'branch-close-btn'
     closeBtn.innerHTML = '×'
-    closeBtn.title = 'Close'
+    closeBtn.title = isClosed || isDormant ? 'Delete permanently' : 'Close'
     closeBtn.addEventListener('click', function (e) {
       e.stopPropagation()
-      self.closeBranch(branch)
+      if (isClosed || isDormant) {
+        self.deleteClosedBranch(branch)
+      } else {
+        self.closeBranch(branch)
+      }
     })
     item.appendChild(closeBtn)
 
-    // Click to switch tab
+    // Click to switch tab, shift/ctrl-click to select
     item.addEventListener('click', function (e) {
       console.log('[BranchPanel] Branch item click event fired for:', branch.id, branch.title)
       e.stopPropagation()
+      if (e.shiftKey || e.metaKey || e.ctrlKey) {
+        self.handleSelectionClick(branch, e)
+        return
+      }
+      self.clearSelection()
       self.handleBranchClick(branch)
     })
 
     // Right-click context menu
     item.addEventListener('contextmenu', function (e) {
       e.preventDefault()
-      self.showContextMenu(branch, e.clientX, e.clientY)
+      if (self.selectedBranchIds.has(branch.id) && self.selectedBranchIds.size > 1) {
+        self.showSelectionContextMenu(e.clientX, e.clientY)
+      } else {
+        self.showContextMenu(branch, e.clientX, e.clientY)
+      }
     })
 
     this.treeContainer.appendChild(item)
@@ -1100,6 +1469,17 @@ var branchPanel = {
 
     var tabId = branch.tabId
 
+    // Closed branches are restored together with their closed descendants
+    if (branch.state === 'closed' || branch.state === 'dormant') {
+      this.restoreBranch(branch)
+      return
+    }
+
+    // Wake sleeping branches - the webview is recreated when the tab is selected
+    if (branch.state === 'sleeping') {
+      branchSleep.wake(branch.id)
+    }
+
     // Check if the tab actually exists
     var tab = tabId && tabs.get(tabId)
     console.log('[BranchPanel] Tab exists:', !!tab, 'tabId:', tabId)
@@ -1174,6 +1554,29 @@ var branchPanel = {
     this.render()
   },
 
+  // Expand the ancestors of a branch and scroll it into view, for keyboard navigation
+  revealBranch: function (branchId) {
+    var bs = getBranchState()
+    if (!bs) return
+
+    var self = this
+    var expanded = false
+    bs.getAncestors(branchId).forEach(function (ancestor) {
+      if (self.collapsedBranches.delete(ancestor.id)) {
+        expanded = true
+      }
+    })
+    if (expanded) {
+      this.saveCollapsedState()
+      this.render()
+    }
+
+    var item = this.treeContainer.querySelector('.branch-item[data-branch-id="' + branchId + '"]')
+    if (item) {
+      item.scrollIntoView({ block: 'nearest' })
+    }
+  },
+
   updateActiveIndicator: function () {
     var selectedTabId = safeTabs() ? safeTabs().getSelected() : null
     var items = this.treeContainer.querySelectorAll('.branch-item')
@@ -1196,12 +1599,487 @@ var branchPanel = {
     if (!this.statusContainer) return
 
     var bs = getBranchState()
-    var count = bs ? bs.count() : 0
+    var count = bs ? bs.count() - bs.getClosed().length : 0
     // Don't count ROOT in the display - it's invisible
     if (bs && bs.getRoot()) {
       count = Math.max(0, count - 1)
     }
     this.statusContainer.textContent = count + ' branch' + (count !== 1 ? 'es' : '')
+
+    if (this.searchResults) {
+      // Count the matches that were drawn - branch focus can hide some
+      var matchCount = this.getSearchHits().length
+      this.statusContainer.textContent = matchCount + ' match' + (matchCount !== 1 ? 'es' : '') + ' of ' + this.statusContainer.textContent
+    }
+  },
+
+  // =========================================
+  // SEARCH
+  // =========================================
+
+  setupSearch: function () {
+    if (!this.searchInput) return
+
+    var self = this
+
+    this.searchInput.addEventListener('input', function () {
+      self.setSearchQuery(self.searchInput.value)
+    })
+
+    this.searchInput.addEventListener('keydown', function (e) {
+      if (e.key === 'ArrowDown') {
+        e.preventDefault()
+        self.moveSearchHit(1)
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault()
+        self.moveSearchHit(-1)
+      } else if (e.key === 'Enter') {
+        e.preventDefault()
+        self.openSearchHit()
+      } else if (e.key === 'Escape') {
+        e.preventDefault()
+        self.clearSearch()
+        self.searchInput.blur()
+      }
+    })
+  },
+
+  setSearchQuery: function (query) {
+    this.searchQuery = query.trim()
+    this.searchResults = this.searchQuery ? branchSearch.search(this.searchQuery) : null
+    this.searchHitIndex = 0
+    this.render()
+  },
+
+  clearSearch: function () {
+    if (this.searchInput) {
+      this.searchInput.value = ''
+    }
+    this.setSearchQuery('')
+  },
+
+  getSearchHits: function () {
+    return Array.from(this.treeContainer.querySelectorAll('.branch-item.search-match'))
+  },
+
+  // Mark the current hit, keeping the index in range after the tree changes
+  updateSearchHit: function () {
+    var hits = this.getSearchHits()
+    if (hits.length === 0) return
+
+    this.searchHitIndex = (this.searchHitIndex + hits.length) % hits.length
+    hits.forEach(function (hit, index) {
+      hit.classList.toggle('search-current', index === this.searchHitIndex)
+    }, this)
+    hits[this.searchHitIndex].scrollIntoView({ block: 'nearest' })
+  },
+
+  moveSearchHit: function (direction) {
+    this.searchHitIndex += direction
+    this.updateSearchHit()
+  },
+
+  openSearchHit: function () {
+    var hit = this.getSearchHits()[this.searchHitIndex]
+    var bs = getBranchState()
+    var branch = hit && bs ? bs.get(hit.getAttribute('data-branch-id')) : null
+    if (branch) {
+      this.handleBranchClick(branch)
+    }
+  },
+
+  // Append text to an element, wrapping the first occurrence of the search query in <mark>
+  setHighlightedText: function (element, text) {
+    var index = this.searchQuery ? text.toLowerCase().indexOf(this.searchQuery.toLowerCase()) : -1
+    if (index === -1) {
+      element.appendChild(document.createTextNode(text))
+      return
+    }
+
+    var mark = document.createElement('mark')
+    mark.textContent = text.substring(index, index + this.searchQuery.length)
+    element.appendChild(document.createTextNode(text.substring(0, index)))
+    element.appendChild(mark)
+    element.appendChild(document.createTextNode(text.substring(index + this.searchQuery.length)))
+  },
+
+  // =========================================
+  // MULTI-SELECT
+  // =========================================
+
+  setupFocusBar: function () {
+    var self = this
+
+    if (this.focusBar) {
+      this.focusBar.querySelector('.branch-focus-exit').addEventListener('click', function () {
+        branchFocus.exit()
+      })
+      this.focusBar.addEventListener('animationend', function () {
+        self.focusBar.classList.remove('refused')
+      })
+    }
+
+    // Show download badges as downloads start and finish
+    downloadHistory.onChange(function () {
+      self.render()
+    })
+
+    // Selected branches may be hidden now
+    branchFocus.onChange(function () {
+      self.selectedBranchIds.clear()
+      self.selectionAnchorId = null
+      self.render()
+    })
+  },
+
+  setupSelection: function () {
+    var self = this
+
+    document.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape' && self.selectedBranchIds.size > 0) {
+        self.clearSelection()
+      }
+    })
+  },
+
+  // Ctrl/cmd-click toggles a branch, shift-click selects the visible range from the last clicked branch
+  handleSelectionClick: function (branch, e) {
+    var self = this
+
+    if (e.shiftKey && this.selectionAnchorId) {
+      var ids = Array.from(this.treeContainer.querySelectorAll('.branch-item')).map(function (item) {
+        return item.getAttribute('data-branch-id')
+      })
+      var start = ids.indexOf(this.selectionAnchorId)
+      var end = ids.indexOf(branch.id)
+      if (start !== -1 && end !== -1) {
+        if (!e.metaKey && !e.ctrlKey) {
+          this.selectedBranchIds.clear()
+        }
+        ids.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(function (id) {
+          self.selectedBranchIds.add(id)
+        })
+        this.render()
+        return
+      }
+    }
+
+    // With nothing selected yet, the current branch is part of the selection
+    if (this.selectedBranchIds.size === 0 && !e.shiftKey) {
+      var bs = getBranchState()
+      var current = bs && safeTabs() ? bs.getByTabId(safeTabs().getSelected()) : null
+      if (current && current.id !== branch.id && !bs.isRoot(current.id)) {
+        this.selectedBranchIds.add(current.id)
+      }
+    }
+
+    if (this.selectedBranchIds.has(branch.id)) {
+      this.selectedBranchIds.delete(branch.id)
+    } else {
+      this.selectedBranchIds.add(branch.id)
+    }
+    this.selectionAnchorId = branch.id
+    this.render()
+  },
+
+  clearSelection: function () {
+    this.selectionAnchorId = null
+    if (this.selectedBranchIds.size === 0) return
+    this.selectedBranchIds.clear()
+    this.render()
+  },
+
+  // Selected branches, leaving out any whose ancestor is also selected
+  // (actions on a branch already include its descendants)
+  getSelectedBranches: function () {
+    var bs = getBranchState()
+    if (!bs) return []
+
+    var self = this
+    return Array.from(this.selectedBranchIds).map(function (branchId) {
+      return bs.get(branchId)
+    }).filter(function (branch) {
+      return branch && !bs.getAncestors(branch.id).some(function (ancestor) {
+        return self.selectedBranchIds.has(ancestor.id)
+      })
+    })
+  },
+
+  updateSelectionBar: function () {
+    if (!this.selectionBar) return
+
+    var self = this
+    var count = this.selectedBranchIds.size
+    this.selectionBar.hidden = count === 0
+    empty(this.selectionBar)
+    if (count === 0) return
+
+    var label = document.createElement('span')
+    label.className = 'selection-count'
+    label.textContent = count + ' selected'
+    this.selectionBar.appendChild(label)
+
+    var actions = [
+      { icon: 'carbon:close', title: 'Close', fn: function () { self.closeSelection() } },
+      { icon: 'carbon:pin', title: 'Pin to Favorites', fn: function () { self.pinSelection() } },
+      {
+        icon: 'carbon:folder-move-to',
+        title: 'Move to Task',
+        fn: function (e) {
+          var rect = e.currentTarget.getBoundingClientRect()
+          self.showMoveToTaskMenu(rect.left, rect.bottom)
+        }
+      },
+      { icon: 'carbon:bookmark', title: 'Bookmark All with Tag', fn: function () { self.showSelectionTagInput() } },
+      { icon: 'carbon:download', title: 'Export', fn: function () { self.exportSelection() } },
+      { icon: 'carbon:checkbox-indeterminate', title: 'Clear Selection', fn: function () { self.clearSelection() } }
+    ]
+
+    actions.forEach(function (action) {
+      var button = document.createElement('button')
+      button.className = 'selection-action i ' + action.icon
+      button.title = action.title
+      button.addEventListener('click', function (e) {
+        e.stopPropagation()
+        action.fn(e)
+      })
+      self.selectionBar.appendChild(button)
+    })
+  },
+
+  // Replace the selection bar contents with a tag input, bookmarking on Enter
+  showSelectionTagInput: function () {
+    if (!this.selectionBar) return
+
+    var self = this
+    empty(this.selectionBar)
+
+    var input = document.createElement('input')
+    input.type = 'text'
+    input.className = 'selection-tag-input'
+    input.placeholder = 'Tag for ' + this.selectedBranchIds.size + ' bookmarks'
+    input.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter') {
+        self.bookmarkSelection(input.value)
+      } else if (e.key === 'Escape') {
+        e.stopPropagation()
+        self.updateSelectionBar()
+      }
+    })
+    this.selectionBar.appendChild(input)
+    input.focus()
+  },
+
+  closeSelection: function () {
+    var self = this
+    var bs = getBranchState()
+    var branches = this.getSelectedBranches().filter(function (branch) {
+      return branch.state !== 'closed' && branch.state !== 'dormant' && !(bs && bs.isRoot(branch.id))
+    })
+
+    this.selectedBranchIds.clear()
+    branches.forEach(function (branch) {
+      self.closeBranch(branch)
+    })
+    this.render()
+  },
+
+  pinSelection: function () {
+    var self = this
+    var bs = getBranchState()
+    if (!bs) return
+
+    Array.from(this.selectedBranchIds).forEach(function (branchId) {
+      var branch = bs.get(branchId)
+      if (branch && branch.url) {
+        self.pinBranch(branch)
+      }
+    })
+    this.clearSelection()
+  },
+
+  showMoveToTaskMenu: function (x, y) {
+    this.closeContextMenu()
+
+    var self = this
+    var menu = document.createElement('div')
+    menu.className = 'branch-context-menu'
+
+    var currentTask = tasks.getSelected()
+    tasks.forEach(function (task) {
+      if (task.id === currentTask.id) return
+
+      var taskItem = document.createElement('div')
+      taskItem.className = 'branch-context-menu-item'
+      taskItem.textContent = task.name || l('defaultTaskName').replace('%n', tasks.getIndex(task.id) + 1)
+      taskItem.addEventListener('click', function () {
+        self.moveSelectionToTask(task.id)
+        self.closeContextMenu()
+      })
+      menu.appendChild(taskItem)
+    })
+
+    var newTaskItem = document.createElement('div')
+    newTaskItem.className = 'branch-context-menu-item'
+    newTaskItem.innerHTML = '<i class="i carbon:add"></i> New Task'
+    newTaskItem.addEventListener('click', function () {
+      self.moveSelectionToTask(tasks.add({}, tasks.getIndex(currentTask.id) + 1))
+      self.closeContextMenu()
+    })
+    menu.appendChild(newTaskItem)
+
+    this.openContextMenu(menu, x, y)
+  },
+
+  // Move the tabs of the selected branches (and their descendants) to another task
+  moveSelectionToTask: function (taskId) {
+    // disabled in focus mode, like the !movetotask command
+    if (focusMode.enabled()) {
+      focusMode.warn()
+      return
+    }
+
+    var bs = getBranchState()
+    if (!bs) return
+
+    var currentTask = tasks.getSelected()
+    var targetTask = tasks.get(taskId)
+    var selectedTabId = tabs.getSelected()
+    var movedSelectedTab = false
+
+    var tabIds = []
+    function collectTabs (branch) {
+      if (branch.tabId && currentTask.tabs.get(branch.tabId) && !bs.isRoot(branch.id)) {
+        tabIds.push(branch.tabId)
+      }
+      bs.getChildren(branch.id).forEach(collectTabs)
+    }
+    this.getSelectedBranches().forEach(collectTabs)
+
+    tabIds.forEach(function (tabId) {
+      var tab = tabs.get(tabId)
+      if (tabId === selectedTabId) {
+        movedSelectedTab = true
+      }
+      tabs.destroy(tabId)
+      targetTask.tabs.add(tab, { atEnd: true })
+    })
+
+    // make sure the task has at least one tab in it
+    if (tabs.count() === 0) {
+      tabs.add()
+    }
+
+    this.selectedBranchIds.clear()
+
+    if (movedSelectedTab) {
+      browserUI.switchToTask(taskId)
+      browserUI.switchToTab(selectedTabId)
+    } else {
+      tabBar.updateAll()
+    }
+    this.render()
+  },
+
+  bookmarkSelection: function (tag) {
+    var self = this
+    var bs = getBranchState()
+    tag = tag.trim().replace(/\s/g, '-')
+
+    var urls = new Set()
+    Array.from(this.selectedBranchIds).forEach(function (branchId) {
+      var branch = bs.get(branchId)
+      if (!branch || !/^https?:/.test(branch.url) || urls.has(branch.url)) return
+      urls.add(branch.url)
+
+      places.getItem(branch.url).then(function (item) {
+        var tags = (item && item.tags) || []
+        if (tag && !tags.includes(tag)) {
+          tags = tags.concat(tag)
+        }
+        return places.updateItem(branch.url, {
+          isBookmarked: true,
+          title: branch.title || branch.url,
+          tags: tags
+        })
+      }).catch(function (e) {
+        console.error('[BranchPanel] Failed to bookmark', branch.url, e)
+      })
+    })
+
+    console.log('[BranchPanel] Bookmarked', urls.size, 'branches with tag', tag)
+    self.clearSelection()
+  },
+
+  exportSelection: function () {
+    var branchIds = this.getSelectedBranches().map(function (branch) {
+      return branch.id
+    })
+    if (branchIds.length > 0) {
+      branchExport.exportToFile(branchIds)
+    }
+  },
+
+  showSelectionContextMenu: function (x, y) {
+    this.closeContextMenu()
+
+    var self = this
+    var menu = document.createElement('div')
+    menu.className = 'branch-context-menu'
+    var count = this.selectedBranchIds.size
+
+    var items = [
+      { icon: 'carbon:close', label: 'Close ' + count + ' Branches', fn: function () { self.closeSelection() } },
+      { icon: 'carbon:pin', label: 'Pin ' + count + ' to Favorites', fn: function () { self.pinSelection() } },
+      {
+        icon: 'carbon:folder-move-to',
+        label: 'Move to Task...',
+        fn: function () {
+          // open the task list where the menu was
+          setTimeout(function () {
+            self.showMoveToTaskMenu(x, y)
+          }, 0)
+        }
+      },
+      { icon: 'carbon:bookmark', label: 'Bookmark All with Tag...', fn: function () { self.showSelectionTagInput() } },
+      { icon: 'carbon:download', label: 'Export Selected...', fn: function () { self.exportSelection() } }
+    ]
+
+    items.forEach(function (data) {
+      var item = document.createElement('div')
+      item.className = 'branch-context-menu-item'
+      item.innerHTML = '<i class="i ' + data.icon + '"></i> '
+      item.appendChild(document.createTextNode(data.label))
+      item.addEventListener('click', function () {
+        self.closeContextMenu()
+        data.fn()
+      })
+      menu.appendChild(item)
+    })
+
+    this.openContextMenu(menu, x, y)
+  },
+
+  // Show a menu at a position, keeping it on screen and to the right of the sidebar
+  openContextMenu: function (menu, x, y) {
+    menu.style.left = x + 'px'
+    menu.style.top = y + 'px'
+    document.body.appendChild(menu)
+    this.contextMenu = menu
+
+    var rect = menu.getBoundingClientRect()
+    var sidebar = document.getElementById('branch-sidebar')
+    var sidebarWidth = (sidebar && !sidebar.classList.contains('collapsed')) ? sidebar.offsetWidth : 0
+
+    if (rect.right > window.innerWidth) {
+      menu.style.left = Math.max(sidebarWidth, x - rect.width) + 'px'
+    } else if (rect.left < sidebarWidth) {
+      menu.style.left = sidebarWidth + 'px'
+    }
+
+    if (rect.bottom > window.innerHeight) {
+      menu.style.top = Math.max(0, y - rect.height) + 'px'
+    }
   },
 
   // =========================================
@@ -1241,9 +2119,28 @@ var branchPanel = {
     sep1.className = 'branch-context-menu-separator'
     menu.appendChild(sep1)
 
-    // Close branch (but not ROOT)
     var bs = getBranchState()
-    if (!bs || !bs.isRoot(branch.id)) {
+    if (branch.state === 'closed' || branch.state === 'dormant') {
+      // Restore closed branch with its closed descendants
+      var restoreItem = document.createElement('div')
+      restoreItem.className = 'branch-context-menu-item'
+      restoreItem.innerHTML = '<i class="i carbon:undo"></i> Restore Branch'
+      restoreItem.addEventListener('click', function () {
+        self.restoreBranch(branch)
+        self.closeContextMenu()
+      })
+      menu.appendChild(restoreItem)
+
+      var deleteItem = document.createElement('div')
+      deleteItem.className = 'branch-context-menu-item'
+      deleteItem.innerHTML = '<i class="i carbon:trash-can"></i> Delete Permanently'
+      deleteItem.addEventListener('click', function () {
+        self.deleteClosedBranch(branch)
+        self.closeContextMenu()
+      })
+      menu.appendChild(deleteItem)
+    } else if (!bs || !bs.isRoot(branch.id)) {
+      // Close branch (but not ROOT)
       var closeItem = document.createElement('div')
       closeItem.className = 'branch-context-menu-item'
       closeItem.innerHTML = '<i class="i carbon:close"></i> Close Branch'
@@ -1254,6 +2151,62 @@ var branchPanel = {
       menu.appendChild(closeItem)
     }
 
+    // Lock the window to this branch and its descendants
+    if (bs && !bs.isRoot(branch.id) && !bs.isRestorable(branch.id)) {
+      var isFocused = branchFocus.isActive() && branchFocus.getFocusedBranch().id === branch.id
+      var focusItem = document.createElement('div')
+      focusItem.className = 'branch-context-menu-item'
+      focusItem.innerHTML = isFocused
+        ? '<i class="i carbon:center-circle"></i> Exit Branch Focus'
+        : '<i class="i carbon:center-circle"></i> Focus on This Branch'
+      focusItem.addEventListener('click', function () {
+        if (isFocused) {
+          branchFocus.exit()
+        } else {
+          self.focusOnBranch(branch)
+        }
+        self.closeContextMenu()
+      })
+      menu.appendChild(focusItem)
+    }
+
+    // Label, colour and note
+    var labelItem = document.createElement('div')
+    labelItem.className = 'branch-context-menu-item'
+    labelItem.innerHTML = '<i class="i carbon:tag"></i> Label & Note...'
+    labelItem.addEventListener('click', function () {
+      branchLabels.editor.show(branch, function () {
+        self.render()
+      })
+      self.closeContextMenu()
+    })
+    menu.appendChild(labelItem)
+
+    // Export branch and its descendants as a research trail
+    var exportItem = document.createElement('div')
+    exportItem.className = 'branch-context-menu-item'
+    exportItem.innerHTML = '<i class="i carbon:download"></i> Export Branch...'
+    exportItem.addEventListener('click', function () {
+      branchExport.exportToFile(branch.id)
+      self.closeContextMenu()
+    })
+    menu.appendChild(exportItem)
+
+    // Move to top level (if nested)
+    var rootBranchId = bs ? bs.getRootBranchId() : null
+    if (bs && branch.parentId && branch.parentId !== rootBranchId) {
+      var detachItem = document.createElement('div')
+      detachItem.className = 'branch-context-menu-item'
+      detachItem.innerHTML = '<i class="i carbon:arrow-up-left"></i> Move to Top Level'
+      detachItem.addEventListener('click', function () {
+        self.moveBranch(branch.id, rootBranchId, null).then(function () {
+          self.render()
+        })
+        self.closeContextMenu()
+      })
+      menu.appendChild(detachItem)
+    }
+
     // Close children (if has children)
     var hasChildren = branch.children && branch.children.length > 0
     if (hasChildren) {
@@ -1267,6 +2220,15 @@ var branchPanel = {
       menu.appendChild(closeChildrenItem)
     }
 
+    // Files downloaded from this branch
+    var downloads = downloadHistory.getForBranch(branch.id)
+    if (downloads.length > 0) {
+      var sep2 = document.createElement('div')
+      sep2.className = 'branch-context-menu-separator'
+      menu.appendChild(sep2)
+      this.appendDownloadItems(menu, downloads)
+    }
+
     // Position and show
     menu.style.left = x + 'px'
     menu.style.top = y + 'px'
@@ -1295,6 +2257,75 @@ var branchPanel = {
     }
   },
 
+  // Menu of the files downloaded from a branch, opened from its download badge
+  showDownloadsMenu: function (branch, x, y) {
+    this.closeContextMenu()
+
+    var menu = document.createElement('div')
+    menu.className = 'branch-context-menu'
+    this.appendDownloadItems(menu, downloadHistory.getForBranch(branch.id))
+    this.openContextMenu(menu, x, y)
+  },
+
+  // Clicking a download opens it (or resumes it if it was interrupted), the folder button reveals it
+  appendDownloadItems: function (menu, downloads) {
+    var self = this
+    var MAX_DOWNLOAD_ITEMS = 5
+
+    downloads.slice(0, MAX_DOWNLOAD_ITEMS).forEach(function (entry) {
+      var canOpen = entry.state === 'interrupted' || (entry.state === 'completed' && entry.exists)
+
+      var item = document.createElement('div')
+      item.className = 'branch-context-menu-item branch-download-item'
+      item.innerHTML = entry.state === 'interrupted'
+        ? '<i class="i carbon:restart"></i> '
+        : '<i class="i carbon:document"></i> '
+      var name = document.createElement('span')
+      name.className = 'branch-download-name'
+      name.textContent = entry.name
+      item.appendChild(name)
+
+      if (entry.state === 'interrupted') {
+        item.title = 'Resume download'
+      } else if (!canOpen) {
+        item.title = entry.state === 'completed' ? 'File moved or deleted' : 'Downloading...'
+        item.style.opacity = '0.5'
+        item.style.cursor = 'default'
+      }
+
+      item.addEventListener('click', function () {
+        if (!canOpen) return
+        downloadHistory.open(entry)
+        self.closeContextMenu()
+      })
+
+      if (entry.state === 'completed' && entry.exists) {
+        var revealButton = document.createElement('button')
+        revealButton.className = 'branch-download-reveal i carbon:folder'
+        revealButton.title = 'Show in Folder'
+        revealButton.addEventListener('click', function (e) {
+          e.stopPropagation()
+          downloadHistory.showInFolder(entry)
+          self.closeContextMenu()
+        })
+        item.appendChild(revealButton)
+      }
+
+      menu.appendChild(item)
+    })
+
+    if (downloads.length > MAX_DOWNLOAD_ITEMS) {
+      var showAllItem = document.createElement('div')
+      showAllItem.className = 'branch-context-menu-item'
+      showAllItem.innerHTML = '<i class="i carbon:list"></i> Show All Downloads'
+      showAllItem.addEventListener('click', function () {
+        downloadHistory.show()
+        self.closeContextMenu()
+      })
+      menu.appendChild(showAllItem)
+    }
+  },
+
   showPinnedContextMenu: function (site, index, x, y) {
     this.closeContextMenu()
 
@@ -1369,7 +2400,9 @@ var branchPanel = {
     copyItem.appendChild(copyIcon)
     copyItem.appendChild(document.createTextNode(' Copy URL'))
     copyItem.addEventListener('click', function () {
-      navigator.clipboard.writeText(currentUrl).then(function () {
+      cleanLink(currentUrl).then(function (url) {
+        return navigator.clipboard.writeText(url)
+      }).then(function () {
         console.log('[BranchPanel] URL copied to clipboard:', currentUrl)
       }).catch(function (err) {
         console.error('[BranchPanel] Failed to copy URL:', err)
@@ -1418,7 +2451,10 @@ var branchPanel = {
     if (branch.children && branch.children.length > 0) {
       branch.children.forEach(function (child) {
         self.closeChildren(child) // Recursive
-        browserUI.closeTab(child.tabId)
+        // Closed children have no tab left to close
+        if (child.tabId && tabs.get(child.tabId)) {
+          browserUI.closeTab(child.tabId)
+        }
       })
     }
   },
@@ -1440,51 +2476,66 @@ var branchPanel = {
     if (branch.tabId && tabs.get(branch.tabId)) {
       browserUI.closeTab(branch.tabId)
     } else {
-      // Tab doesn't exist, just remove the branch from state
-      if (bs) bs.destroy(branch.id)
+      // Tab doesn't exist, just mark the branch as closed (private branches aren't kept)
+      if (bs && branch.private) {
+        bs.discard(branch.id)
+      } else if (bs) {
+        bs.archive(branch.id)
+      }
       this.render()
     }
   },
 
-  clearStaleBranches: function () {
-    console.log('[BranchPanel] Clearing stale branches')
+  // Reopen a closed or dormant branch and every closed branch below it
+  // Branch ids are reused, so parent links are intact; branchEvents.js revives them on tab-added
+  restoreBranch: function (branch) {
     var bs = getBranchState()
-    if (!bs) {
-      console.warn('[BranchPanel] branchState not available, skipping cleanup')
-      return
-    }
-
-    var allBranches = bs.getAll()
-    var root = bs.getRoot()
-    var rootBranchId = bs.getRootBranchId()
-    var staleCount = 0
-    var reparentedCount = 0
+    if (!bs || !bs.isRestorable(branch.id)) return
+
+    console.log('[BranchPanel] Restoring closed branch:', branch.id)
+
+    // Descendants open in the background without a webview and load when selected
+    bs.getDescendants(branch.id).forEach(function (descendant) {
+      if (descendant.state !== 'closed') return
+      var descendantTabId = tabs.add({
+        url: descendant.url,
+        title: descendant.title,
+        branchId: descendant.id,
+        parentBranchId: descendant.parentId,
+        private: descendant.private === true
+      }, { atEnd: true })
+      tabBar.addTab(descendantTabId)
+    })
 
-    allBranches.forEach(function (branch) {
-      // Skip the ROOT branch - never delete it
-      if (bs.isRoot(branch.id)) {
-        return
-      }
+    var tabId = tabs.add({
+      url: branch.url,
+      title: branch.title,
+      branchId: branch.id,
+      parentBranchId: branch.parentId,
+      private: branch.private === true
+    })
+    browserUI.addTab(tabId, { enterEditMode: false })
+  },
 
-      // Branch is stale if its tab doesn't exist
-      // (Only check if safeTabs is available; skip cleanup during initialization)
-      if (safeTabs() && (!branch.tabId || !safeTabs().get(branch.tabId))) {
-        bs.destroy(branch.id)
-        staleCount++
-        return
-      }
+  // Permanently remove a closed branch (open descendants move up to its parent)
+  deleteClosedBranch: function (branch) {
+    var bs = getBranchState()
+    if (!bs) return
 
-      // Re-parent orphan branches to ROOT
-      // (Branches that have no parentId but aren't ROOT)
-      if (!branch.parentId && root) {
-        console.log('[BranchPanel] Re-parenting orphan branch', branch.id, 'to ROOT')
-        bs.update(branch.id, { parentId: rootBranchId })
-        reparentedCount++
-      }
+    var self = this
+    bs.purge(branch.id).then(function () {
+      self.render()
     })
+  },
 
-    console.log('[BranchPanel] Cleared', staleCount, 'stale branches, re-parented', reparentedCount, 'orphans')
-    this.render()
+  // Re-link branches whose tab is missing, archiving the ones that can't be matched
+  // (see branchRepair.js - only branches of private tabs are deleted there)
+  clearStaleBranches: function () {
+    console.log('[BranchPanel] Repairing stale branches')
+    var self = this
+    branchRepair.repair().then(function () {
+      self.render()
+    })
   },
 
   // =========================================
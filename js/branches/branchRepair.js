@@ -0,0 +1,204 @@
+// Branch Browser: Session restore repair
+// Tabs come back from the session file and branches from IndexedDB, so after a restart
+// (or a failed restore) the two can disagree. This re-links them instead of dropping branches.
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchRepair] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var REPORT_KEY = 'branchRepair.lastReport'
+
+var runningRepair = null
+
+function describe (branch) {
+  return branch.title || branch.url || branch.id
+}
+
+function getAllTabs () {
+  var result = []
+  tasks.forEach(function (task) {
+    task.tabs.get().forEach(function (tab) {
+      result.push({ tab: tab, task: task })
+    })
+  })
+  return result
+}
+
+// Find an unclaimed tab showing the branch's page, or a page from its history
+function findTabForBranch (branch, unclaimedTabs) {
+  var match = unclaimedTabs.find(function (entry) {
+    return entry.tab.url && entry.tab.url === branch.url
+  })
+  if (match) return match
+
+  var historyUrls = (branch.history || []).map(function (entry) {
+    return entry.url
+  })
+  return unclaimedTabs.find(function (entry) {
+    return entry.tab.url && historyUrls.includes(entry.tab.url)
+  }) || null
+}
+
+async function runRepair (sessionBranches) {
+  var report = {
+    time: Date.now(),
+    restoredFromSession: [], // branches missing from the store, put back from the session file
+    relinkedById: [], // branches whose tab id was out of date
+    relinkedByUrl: [], // branches matched to a tab by URL or history
+    reparented: [], // branches whose parent was missing, moved to ROOT
+    archived: [], // branches with no matching tab, kept as closed branches
+    unlinkedTabs: [] // tabs pointing to a branch that doesn't exist, given a new branch
+  }
+
+  // Until the stored branches are loaded, every tab would look like it points to a missing branch
+  var bs = getBranchState()
+  if (!bs || !bs.isLoaded()) return report
+
+  var rootBranchId = bs.getRootBranchId()
+
+  // 1. Branches saved with the session but missing from IndexedDB
+  if (Array.isArray(sessionBranches)) {
+    for (var i = 0; i < sessionBranches.length; i++) {
+      if (await bs.restoreSnapshot(sessionBranches[i])) {
+        report.restoredFromSession.push(describe(sessionBranches[i]))
+      }
+    }
+  }
+
+  // 2. Tabs remember the id of their branch - trust that link first
+  var allTabs = getAllTabs()
+  var tabByBranchId = new Map()
+  var unclaimedTabs = []
+
+  for (var j = 0; j < allTabs.length; j++) {
+    var tab = allTabs[j].tab
+    var linkedBranch = tab.branchId ? bs.get(tab.branchId) : null
+
+    // duplicated tabs can share a branch id, only the first one keeps it
+    if (!linkedBranch || tabByBranchId.has(linkedBranch.id)) {
+      unclaimedTabs.push(allTabs[j])
+      continue
+    }
+
+    tabByBranchId.set(linkedBranch.id, tab.id)
+    if (linkedBranch.tabId !== tab.id || bs.isRestorable(linkedBranch.id)) {
+      await bs.update(linkedBranch.id, {
+        tabId: tab.id,
+        state: bs.isRestorable(linkedBranch.id) ? 'sleeping' : linkedBranch.state
+      })
+      report.relinkedById.push(describe(linkedBranch))
+    }
+  }
+
+  // 3. Open branches whose tab is gone - look for a tab showing one of their pages
+  var openBranches = bs.getAll().filter(function (branch) {
+    return !bs.isRestorable(branch.id) && !tabByBranchId.has(branch.id)
+  })
+
+  for (var k = 0; k < openBranches.length; k++) {
+    var branch = openBranches[k]
+
+    // private tabs aren't restored, and their branches shouldn't be kept either
+    if (branch.private && !bs.isRoot(branch.id)) {
+      await bs.discard(branch.id)
+      continue
+    }
+
+    var match = findTabForBranch(branch, unclaimedTabs)
+
+    if (match) {
+      unclaimedTabs.splice(unclaimedTabs.indexOf(match), 1)
+      tabByBranchId.set(branch.id, match.tab.id)
+      await bs.update(branch.id, { tabId: match.tab.id })
+      match.task.tabs.update(match.tab.id, {
+        branchId: branch.id,
+        parentBranchId: branch.parentId || null
+      }, false)
+      report.relinkedByUrl.push(describe(branch))
+    } else if (!bs.isRoot(branch.id)) {
+      await bs.archive(branch.id)
+      report.archived.push(describe(branch))
+    }
+  }
+
+  // 4. Branches whose parent no longer exists
+  var root = bs.getRoot()
+  var orphans = bs.getAll().filter(function (branch) {
+    return !bs.isRoot(branch.id) && (!branch.parentId || !bs.get(branch.parentId))
+  })
+  for (var m = 0; m < orphans.length; m++) {
+    if (!root) break
+    await bs.update(orphans[m].id, { parentId: rootBranchId })
+    report.reparented.push(describe(orphans[m]))
+  }
+
+  // 5. Tabs still pointing to a missing branch get a new one under ROOT
+  for (var n = 0; n < unclaimedTabs.length; n++) {
+    var unclaimed = unclaimedTabs[n]
+    if (!unclaimed.tab.branchId) {
+      // never had a branch - branchEvents.js creates one
+      continue
+    }
+
+    var newBranchId = root ? await bs.create(unclaimed.tab.id, rootBranchId, unclaimed.tab.url || '', unclaimed.tab.title || '') : null
+    unclaimed.task.tabs.update(unclaimed.tab.id, {
+      branchId: newBranchId,
+      parentBranchId: newBranchId ? rootBranchId : null
+    }, false)
+    report.unlinkedTabs.push(unclaimed.tab.title || unclaimed.tab.url || unclaimed.tab.id)
+  }
+
+  // Keep the last report that actually changed something
+  var changeCount = Object.keys(report).reduce(function (total, key) {
+    return total + (Array.isArray(report[key]) ? report[key].length : 0)
+  }, 0)
+  if (changeCount > 0) {
+    try {
+      localStorage.setItem(REPORT_KEY, JSON.stringify(report))
+    } catch (e) {
+      console.warn('[BranchRepair] Failed to save report:', e)
+    }
+  }
+
+  console.log('[BranchRepair] Restored', report.restoredFromSession.length,
+    'relinked', report.relinkedById.length + report.relinkedByUrl.length,
+    'reparented', report.reparented.length,
+    'archived', report.archived.length,
+    'new branches for', report.unlinkedTabs.length, 'tabs')
+
+  return report
+}
+
+// Reconcile branches with the open tabs, returns a report of what changed
+// sessionBranches is the branch snapshot from the session file, if there is one
+function repair (sessionBranches) {
+  if (!runningRepair) {
+    runningRepair = runRepair(sessionBranches).finally(function () {
+      runningRepair = null
+    })
+  }
+  return runningRepair
+}
+
+function getLastReport () {
+  try {
+    return JSON.parse(localStorage.getItem(REPORT_KEY))
+  } catch (e) {
+    return null
+  }
+}
+
+module.exports = {
+  repair,
+  getLastReport
+}
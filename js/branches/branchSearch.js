@@ -0,0 +1,116 @@
+// Branch Browser: Sidebar search
+// Matches branches by title, URL and the pages in their history
+
+var quickScore = require('quick-score').quickScore
+var browserConfig = require('config/browserConfig.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchSearch] Failed to load branchState:', e)
+    return null
+  }
+}
+
+// Same threshold as the fuzzy task search in customBangs.js
+var MIN_FUZZY_SCORE = 0.4
+
+// Score a single string - exact substring matches always rank above fuzzy ones
+function scoreText (text, searchText) {
+  if (!text) return 0
+
+  var lowerText = text.toLowerCase()
+  if (lowerText.indexOf(searchText) !== -1) {
+    return 1 + quickScore(lowerText.substring(0, 100), searchText)
+  }
+
+  var fuzzyScore = quickScore(lowerText.substring(0, 100), searchText)
+  return fuzzyScore > MIN_FUZZY_SCORE ? fuzzyScore : 0
+}
+
+// Find the best matching field of a branch, or null if nothing matches
+function matchBranch (branch, searchText) {
+  var tab = (branch.tabId && typeof tabs !== 'undefined') ? tabs.get(branch.tabId) : null
+
+  var candidates = [
+    { field: 'title', text: (tab && tab.title) || branch.title },
+    { field: 'url', text: (tab && tab.url) || branch.url },
+    { field: 'label', text: branch.label },
+    { field: 'note', text: branch.note }
+  ]
+  ;(branch.history || []).forEach(function (entry) {
+    candidates.push({ field: 'history', text: entry.title, entry: entry })
+    candidates.push({ field: 'history', text: entry.url, entry: entry })
+  })
+
+  var best = null
+  candidates.forEach(function (candidate) {
+    var score = scoreText(candidate.text, searchText)
+    if (score > 0 && (!best || score > best.score)) {
+      best = { score: score, field: candidate.field, text: candidate.text, entry: candidate.entry || null }
+    }
+  })
+
+  return best
+}
+
+// Search all branches, returns a Map of branchId -> match, and the set of branches that
+// have to be visible to show the matches (the matches and all their ancestors)
+function search (text) {
+  var bs = getBranchState()
+  var matches = new Map()
+  var visible = new Set()
+
+  var searchText = text.trim().toLowerCase()
+  if (!bs || !searchText) {
+    return { matches: matches, visible: visible }
+  }
+
+  var showClosed = browserConfig.get('archive.showClosed')
+
+  bs.getAll().forEach(function (branch) {
+    if (bs.isRoot(branch.id) || (!showClosed && bs.isClosed(branch.id))) {
+      return
+    }
+
+    var match = matchBranch(branch, searchText)
+    if (match) {
+      matches.set(branch.id, match)
+      visible.add(branch.id)
+      bs.getAncestors(branch.id).forEach(function (ancestor) {
+        visible.add(ancestor.id)
+      })
+    }
+  })
+
+  return { matches: matches, visible: visible }
+}
+
+// Branches whose label or note matches, best match first
+function searchNotes (text) {
+  var bs = getBranchState()
+  var searchText = text.trim().toLowerCase()
+  if (!bs || !searchText) return []
+
+  return bs.getAll().map(function (branch) {
+    return {
+      branch: branch,
+      score: Math.max(scoreText(branch.label, searchText), scoreText(branch.note, searchText))
+    }
+  }).filter(function (result) {
+    return result.score > 0 && !bs.isRoot(result.branch.id)
+  }).sort(function (a, b) {
+    return b.score - a.score
+  })
+}
+
+module.exports = {
+  search,
+  searchNotes
+}
@@ -0,0 +1,161 @@
+// Branch Browser: Sleep system
+// Destroys the webview of idle branches to free memory, keeping the branch
+// node (title, url, history) in the tree. Sleeping branches wake on selection.
+
+var webviews = require('webviews.js')
+var browserConfig = require('config/browserConfig.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[BranchSleep] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var CHECK_INTERVAL_MS = 30000 // 30 seconds
+var LOW_MEMORY_THRESHOLD = 0.15 // fraction of system memory still free
+
+var checkInterval = null
+
+// Find the tab object for a branch, in whichever task contains it
+function getTabForBranch (branch) {
+  if (!branch.tabId) return null
+  var task = tasks.getTaskContainingTab(branch.tabId)
+  return task ? task.tabs.get(branch.tabId) : null
+}
+
+// Check whether the system is running low on memory
+function isLowMemory () {
+  try {
+    var info = process.getSystemMemoryInfo()
+    return info.total > 0 && (info.free / info.total) < LOW_MEMORY_THRESHOLD
+  } catch (e) {
+    return false
+  }
+}
+
+// Whether a branch is allowed to go to sleep right now
+function canSleep (branch, tab) {
+  var bs = getBranchState()
+  if (!bs || !tab) return false
+
+  if (bs.isRoot(branch.id)) return false
+  if (branch.state === 'sleeping') return false
+  if (tab.id === tabs.getSelected()) return false
+  if (!tab.hasWebContents) return false
+  if (tab.hasAudio && browserConfig.get('sleep.keepAudioAwake')) return false
+
+  return true
+}
+
+// Put a branch to sleep: destroy its webview but keep the branch in the tree
+async function sleep (branchId) {
+  var bs = getBranchState()
+  if (!bs) return false
+
+  var branch = bs.get(branchId)
+  if (!branch) return false
+
+  var tab = getTabForBranch(branch)
+  if (!canSleep(branch, tab)) return false
+
+  webviews.destroy(tab.id)
+  await bs.update(branchId, { state: 'sleeping' })
+  console.log('[BranchSleep] Slept branch', branchId, 'for tab', tab.id)
+
+  return true
+}
+
+// Wake a sleeping branch
+// The webview itself is recreated by webviews.setSelected when the tab is shown
+async function wake (branchId) {
+  var bs = getBranchState()
+  if (!bs) return false
+
+  var branch = bs.get(branchId)
+  if (!branch || branch.state !== 'sleeping') return false
+
+  await bs.update(branchId, { state: 'awake', lastActiveAt: Date.now() })
+  console.log('[BranchSleep] Woke branch', branchId)
+
+  return true
+}
+
+// Sleep every branch that has been idle longer than the configured timeout
+async function sleepIdleBranches () {
+  if (!browserConfig.get('sleep.enabled')) return 0
+
+  var bs = getBranchState()
+  if (!bs) return 0
+
+  var timeout = isLowMemory()
+    ? browserConfig.get('sleep.lowMemoryTimeoutMs')
+    : browserConfig.get('sleep.timeoutMs')
+  var now = Date.now()
+  var sleptCount = 0
+
+  var allBranches = bs.getAll()
+  for (var i = 0; i < allBranches.length; i++) {
+    var branch = allBranches[i]
+    var tab = getTabForBranch(branch)
+    if (!canSleep(branch, tab)) continue
+
+    // Tabs record lastActivity when they are deselected, so use whichever is newer
+    var lastActive = Math.max(branch.lastActiveAt || 0, tab.lastActivity || 0)
+    if (now - lastActive > timeout) {
+      if (await sleep(branch.id)) {
+        sleptCount++
+      }
+    }
+  }
+
+  if (sleptCount > 0) {
+    console.log('[BranchSleep] Slept', sleptCount, 'idle branches')
+    refreshPanel()
+  }
+
+  return sleptCount
+}
+
+function refreshPanel () {
+  try {
+    require('branches/branchPanel.js').render()
+  } catch (e) {
+    // Panel may not be available during early initialization
+  }
+}
+
+function initialize () {
+  // Wake branches as soon as their tab is selected, however it was selected
+  tasks.on('tab-selected', async function (tabId) {
+    var bs = getBranchState()
+    if (!bs) return
+
+    var branch = bs.getByTabId(tabId)
+    if (branch && branch.state === 'sleeping') {
+      await wake(branch.id)
+      refreshPanel()
+    }
+  })
+
+  if (checkInterval) {
+    clearInterval(checkInterval)
+  }
+  checkInterval = setInterval(sleepIdleBranches, CHECK_INTERVAL_MS)
+
+  console.log('[BranchSleep] Initialized')
+}
+
+module.exports = {
+  initialize,
+  sleep,
+  wake,
+  sleepIdleBranches
+}
@@ -32,6 +32,9 @@ var ROOT_BRANCH_ID = 'br_root'
 // In-memory cache of branches for fast access
 var branches = {}
 
+// Set once the stored branches have been loaded from IndexedDB
+var isLoadedFromDB = false
+
 // Generate unique branch ID
 function generateBranchId () {
   return 'br_' + Math.random().toString(36).substring(2, 15)
@@ -95,6 +98,12 @@ function getByTabId (tabId) {
   return null
 }
 
+// New sibling branches share the parent of the tab's branch, or go under ROOT at the top level
+function getSiblingParentId (tabId) {
+  var branch = getByTabId(tabId)
+  return branch && branch.parentId ? branch.parentId : ROOT_BRANCH_ID
+}
+
 // Update branch properties
 async function update (branchId, data) {
   if (!branches[branchId]) {
@@ -118,8 +127,48 @@ async function update (branchId, data) {
   return true
 }
 
+// Keep the path a branch was on before the user went back and took a different link
+// The full history goes into a new dormant sibling branch, placed right after the original
+// Dormant branches have no tab, but unlike closed ones they're never purged
+async function forkForwardHistory (branchId) {
+  var branch = branches[branchId]
+  if (!branch) return null
+
+  var history = branch.history || []
+  var lastEntry = history[history.length - 1]
+  if (!lastEntry) return null
+
+  // ROOT has no siblings, so its forks become its children
+  var parentId = branch.parentId || branchId
+
+  var forkId = await create(null, parentId, lastEntry.url, lastEntry.title)
+  await update(forkId, {
+    history: history.slice(),
+    historyIndex: history.length - 1,
+    lastActiveAt: lastEntry.timestamp || Date.now(),
+    forkedFrom: branchId,
+    state: 'dormant'
+  })
+
+  if (parentId === branch.parentId) {
+    var siblings = getChildren(parentId)
+    var nextSibling = siblings[siblings.indexOf(branch) + 1]
+    await move(forkId, parentId, nextSibling && nextSibling.id !== forkId ? nextSibling.id : null)
+  }
+
+  console.log('[Branch] Forked forward history of', branchId, 'into', forkId)
+  return forkId
+}
+
+// Get the branches that were forked off a branch's history
+function getForks (branchId) {
+  return Object.values(branches).filter(function (branch) {
+    return branch.forkedFrom === branchId
+  })
+}
+
 // Add a URL to the branch's navigation history
-// Implements smart branching: if not at end of history, truncates forward entries
+// Implements smart branching: if not at end of history, the forward entries are forked into a sibling
 async function addToHistory (branchId, url, title, options) {
   if (!branches[branchId]) return false
   if (!url) return false
@@ -144,10 +193,10 @@ async function addToHistory (branchId, url, title, options) {
     return false
   }
 
-  // Smart branching: if not at end of history, truncate forward entries
+  // Smart branching: if not at end of history, fork the forward entries into a sibling
   // This happens when user navigates back then goes to a new page
   if (historyIndex < history.length - 1) {
-    // Truncate: remove all entries after current position
+    await forkForwardHistory(branchId)
     history = history.slice(0, historyIndex + 1)
     console.log('[Branch] Truncated forward history at index', historyIndex)
   }
@@ -263,6 +312,17 @@ async function destroy (branchId) {
   return true
 }
 
+// Sort siblings by their saved order (set when a branch is moved)
+// Branches that were never moved keep creation order, after the ordered ones
+function compareSiblings (a, b) {
+  var orderA = typeof a.order === 'number' ? a.order : Infinity
+  var orderB = typeof b.order === 'number' ? b.order : Infinity
+  if (orderA !== orderB) {
+    return orderA < orderB ? -1 : 1
+  }
+  return (a.createdAt || 0) - (b.createdAt || 0)
+}
+
 // Get all children of a branch
 function getChildren (branchId) {
   var children = []
@@ -271,7 +331,7 @@ function getChildren (branchId) {
       children.push(branches[id])
     }
   }
-  return children
+  return children.sort(compareSiblings)
 }
 
 // Get all descendants of a branch (recursive)
@@ -305,6 +365,57 @@ function getAncestors (branchId) {
   return ancestors
 }
 
+// Move a branch (with its subtree) under a new parent, before the given sibling
+// If beforeId is missing or not a child of the new parent, the branch goes last
+async function move (branchId, newParentId, beforeId) {
+  var branch = branches[branchId]
+  if (!branch) return false
+
+  // Never move ROOT branch
+  if (branchId === ROOT_BRANCH_ID) {
+    console.log('[Branch] Cannot move ROOT branch')
+    return false
+  }
+
+  newParentId = newParentId || ROOT_BRANCH_ID
+  if (!branches[newParentId]) {
+    console.warn('[Branch] Cannot move to non-existent parent:', newParentId)
+    return false
+  }
+
+  // A branch can't become a child of itself or of its own descendants
+  var isOwnSubtree = newParentId === branchId || getDescendants(branchId).some(function (descendant) {
+    return descendant.id === newParentId
+  })
+  if (isOwnSubtree) {
+    console.warn('[Branch] Cannot move', branchId, 'into its own subtree')
+    return false
+  }
+
+  var siblings = getChildren(newParentId).filter(function (sibling) {
+    return sibling.id !== branchId
+  })
+  var index = siblings.findIndex(function (sibling) {
+    return sibling.id === beforeId
+  })
+  if (index === -1) {
+    index = siblings.length
+  }
+  siblings.splice(index, 0, branch)
+
+  await update(branchId, { parentId: newParentId })
+
+  // Persist the new sibling order
+  for (var i = 0; i < siblings.length; i++) {
+    if (siblings[i].order !== i) {
+      await update(siblings[i].id, { order: i })
+    }
+  }
+
+  console.log('[Branch] Moved:', branchId, 'to parent', newParentId, 'at position', index)
+  return true
+}
+
 // Destroy a branch and all its children
 async function destroyWithChildren (branchId) {
   var descendants = getDescendants(branchId)
@@ -320,6 +431,119 @@ async function destroyWithChildren (branchId) {
   return true
 }
 
+// =========================================
+// CLOSED ("GHOST") BRANCHES
+// =========================================
+
+// Check if a branch has been closed but kept in the tree
+function isClosed (branchId) {
+  return !!branches[branchId] && branches[branchId].state === 'closed'
+}
+
+// Close a branch without deleting it - keeps its node and history so it can be restored
+async function archive (branchId) {
+  if (!branches[branchId]) return false
+
+  // Never archive ROOT branch
+  if (branchId === ROOT_BRANCH_ID) {
+    console.log('[Branch] Cannot archive ROOT branch')
+    return false
+  }
+
+  await update(branchId, {
+    tabId: null,
+    state: 'closed',
+    closedAt: Date.now()
+  })
+  console.log('[Branch] Archived:', branchId)
+
+  return true
+}
+
+// Delete a branch instead of archiving it - used for private tabs, whose pages shouldn't be kept
+// Open descendants are re-parented like in purge()
+async function discard (branchId) {
+  if (!(await archive(branchId))) return false
+  return purge(branchId)
+}
+
+// Branches of private tabs are never saved or sent anywhere
+function isPrivateBranch (branch) {
+  if (branch.private) return true
+  var task = branch.tabId && tasks.getTaskContainingTab(branch.tabId)
+  var tab = task && task.tabs.get(branch.tabId)
+  return !!(tab && tab.private)
+}
+
+// Closed and dormant branches have no tab, and are reopened from the sidebar
+function isRestorable (branchId) {
+  return isClosed(branchId) || (!!branches[branchId] && branches[branchId].state === 'dormant')
+}
+
+// Bring a closed or dormant branch back, attached to a new tab
+async function unarchive (branchId, tabId, state) {
+  if (!isRestorable(branchId)) return false
+
+  await update(branchId, {
+    tabId: tabId,
+    state: state || 'awake',
+    closedAt: null,
+    lastActiveAt: Date.now()
+  })
+  console.log('[Branch] Unarchived:', branchId, 'for tab', tabId)
+
+  return true
+}
+
+// Get all closed branches
+function getClosed () {
+  return Object.values(branches).filter(function (branch) {
+    return branch.state === 'closed'
+  })
+}
+
+// Permanently delete a closed (or dormant) branch and its closed descendants
+// Open and dormant descendants are re-parented to the purged branch's parent so they stay in the tree
+async function purge (branchId, newParentId) {
+  if (!isRestorable(branchId)) return false
+
+  var branch = branches[branchId]
+  var children = getChildren(branchId)
+  newParentId = newParentId || branch.parentId || ROOT_BRANCH_ID
+
+  for (var i = 0; i < children.length; i++) {
+    if (children[i].state === 'closed') {
+      await purge(children[i].id, newParentId)
+    } else {
+      await update(children[i].id, { parentId: newParentId })
+    }
+  }
+
+  return destroy(branchId)
+}
+
+// Purge closed branches that were closed more than maxAgeMs ago
+async function purgeClosed (maxAgeMs) {
+  var now = Date.now()
+  var expired = getClosed().filter(function (branch) {
+    return !branch.closedAt || now - branch.closedAt > maxAgeMs
+  })
+
+  var purgedCount = 0
+  for (var i = 0; i < expired.length; i++) {
+    // May already be gone if an ancestor was purged first
+    if (await purge(expired[i].id)) {
+      purgedCount++
+    }
+  }
+
+  if (purgedCount > 0) {
+    console.log('[Branch] Purged', purgedCount, 'expired closed branches')
+  }
+
+  return purgedCount
+}
+
 // Get all root branches (no parent)
 function getRoots () {
   var roots = []
@@ -341,6 +565,28 @@ function count () {
   return Object.keys(branches).length
 }
 
+function isLoaded () {
+  return isLoadedFromDB
+}
+
+// Put back a branch saved elsewhere (the session file) that is missing from the store
+async function restoreSnapshot (branch) {
+  if (!branch || !branch.id || branches[branch.id]) return false
+
+  branches[branch.id] = Object.assign({}, branch)
+
+  var database = getDb()
+  if (database) {
+    try {
+      await database.branches.put(branches[branch.id])
+    } catch (e) {
+      console.error('[Branch] Failed to restore snapshot:', e)
+    }
+  }
+
+  return true
+}
+
 // Load branches from IndexedDB on startup
 async function loadFromDB () {
   var database = getDb()
@@ -365,6 +611,7 @@ async function loadFromDB () {
       
       branches[branch.id] = branch
     })
+    isLoadedFromDB = true
     console.log('[Branch] Loaded', storedBranches.length, 'branches from database')
   } catch (e) {
     console.error('[Branch] Failed to load from database:', e)
@@ -470,20 +717,36 @@ module.exports = {
   create,
   get,
   getByTabId,
+  getSiblingParentId,
   update,
   destroy,
   addToHistory,  // Navigation history tracking
+  forkForwardHistory, // Keep forward history as a sibling branch
+  getForks,
   navigateToHistoryIndex,  // Breadcrumb navigation (preserves forward history)
   getHistoryIndex,  // Get current position in history
   getHistoryWithPosition,  // Get history array with current index
   getChildren,
   getDescendants,
   getAncestors,
+  move,
   destroyWithChildren,
+  // Closed branch functions
+  isClosed,
+  isRestorable,
+  isPrivateBranch,
+  archive,
+  unarchive,
+  discard,
+  getClosed,
+  purge,
+  purgeClosed,
   getRoots,
   getAll,
   count,
   loadFromDB,
+  isLoaded,
+  restoreSnapshot,
   clearAll,
   getTree,
   generateBranchId,
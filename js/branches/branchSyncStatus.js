@@ -0,0 +1,65 @@
+// Branch Browser - Sync Status Indicator
+// Shows whether activity events are reaching Punk Records (see punkRecords.js)
+
+var settings = require('util/settings/settings.js')
+var browserConfig = require('config/browserConfig.js')
+var punkRecords = require('branches/punkRecords.js')
+var formatRelativeDate = require('util/relativeDate.js')
+
+var branchSyncStatus = {
+  element: null,
+
+  initialize: function () {
+    this.element = document.getElementById('branch-sync-status')
+    if (!this.element) return
+
+    var self = this
+
+    punkRecords.onStatusChange(function (status) {
+      self.render(status)
+    })
+
+    // Show or hide the indicator when it's turned on or off in settings
+    settings.listen('branchBrowser', function () {
+      self.render(punkRecords.getStatus())
+    })
+
+    // Click to send queued events now
+    this.element.addEventListener('click', function () {
+      punkRecords.flush()
+    })
+
+    this.render(punkRecords.getStatus())
+  },
+
+  render: function (status) {
+    if (!this.element) return
+
+    var isVisible = browserConfig.get('ui.showSyncStatus') && punkRecords.isEnabled()
+    this.element.hidden = !isVisible
+    if (!isVisible) return
+
+    this.element.setAttribute('data-state', status.state)
+
+    var description
+    if (status.state === 'syncing') {
+      description = 'Syncing ' + status.pending + ' events...'
+    } else if (status.state === 'error') {
+      description = 'Sync failed: ' + status.error
+    } else if (status.state === 'offline') {
+      description = 'Offline'
+    } else if (status.lastSyncAt) {
+      description = 'Last synced: ' + formatRelativeDate(status.lastSyncAt)
+    } else {
+      description = 'Not synced yet'
+    }
+
+    if (status.pending > 0 && status.state !== 'syncing') {
+      description += ' - ' + status.pending + ' events waiting'
+    }
+
+    this.element.title = description
+  }
+}
+
+module.exports = branchSyncStatus
@@ -0,0 +1,183 @@
+// Branch Browser - Timeline Panel
+// Shows every page visited in the selected branch with timestamps and dwell time,
+// and lets the user jump to any point in the branch's history
+
+var branchState = null
+
+// Safely get branchState module (lazy load with error handling)
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.warn('[BranchTimeline] Failed to load branchState:', e.message)
+    return null
+  }
+}
+
+var timeFormatter = new Intl.DateTimeFormat(navigator.language, { hour: 'numeric', minute: '2-digit' })
+var dateFormatter = new Intl.DateTimeFormat(navigator.language, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+
+var branchTimeline = {
+  container: null,
+  list: null,
+  toggleButton: null,
+  isVisible: false,
+
+  initialize: function () {
+    this.container = document.getElementById('branch-timeline')
+    this.list = document.getElementById('branch-timeline-list')
+    this.toggleButton = document.getElementById('sidebar-timeline-btn')
+    if (!this.container || !this.list) {
+      console.warn('[BranchTimeline] Container elements not found')
+      return
+    }
+
+    var self = this
+
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener('click', function () {
+        self.toggle()
+      })
+    }
+
+    this.isVisible = localStorage.getItem('branchTimeline.visible') === 'true'
+    this.container.hidden = !this.isVisible
+    if (this.toggleButton) {
+      this.toggleButton.classList.toggle('active', this.isVisible)
+    }
+
+    tasks.on('tab-selected', function () {
+      self.render()
+    })
+
+    tasks.on('tab-updated', function (tabId, key) {
+      if ((key === 'url' || key === 'title') && tabId === tabs.getSelected()) {
+        // Let branchEvents.js record the history entry first
+        setTimeout(function () {
+          self.render()
+        }, 50)
+      }
+    })
+
+    this.render()
+  },
+
+  toggle: function () {
+    this.isVisible = !this.isVisible
+    this.container.hidden = !this.isVisible
+    if (this.toggleButton) {
+      this.toggleButton.classList.toggle('active', this.isVisible)
+    }
+    localStorage.setItem('branchTimeline.visible', this.isVisible ? 'true' : 'false')
+    this.render()
+  },
+
+  // Format how long the user stayed on a page, e.g. "45s", "12m", "1h 5m"
+  formatDwellTime: function (ms) {
+    if (ms < 60000) {
+      return Math.max(1, Math.round(ms / 1000)) + 's'
+    }
+    var minutes = Math.round(ms / 60000)
+    if (minutes < 60) {
+      return minutes + 'm'
+    }
+    return Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm'
+  },
+
+  formatTimestamp: function (timestamp) {
+    var date = new Date(timestamp)
+    if (date.toDateString() === new Date().toDateString()) {
+      return timeFormatter.format(date)
+    }
+    return dateFormatter.format(date)
+  },
+
+  render: function () {
+    if (!this.list || !this.isVisible) return
+
+    empty(this.list)
+
+    var selectedTabId = tabs.getSelected()
+    var bs = getBranchState()
+    var branch = bs && selectedTabId ? bs.getByTabId(selectedTabId) : null
+    if (!branch) return
+
+    var self = this
+    var historyData = bs.getHistoryWithPosition(branch.id)
+    var history = historyData.history
+
+    history.forEach(function (entry, index) {
+      // Dwell time is the time until the next page in the branch was opened
+      var nextEntry = history[index + 1]
+      var dwellTime = null
+      if (nextEntry && nextEntry.timestamp && entry.timestamp) {
+        dwellTime = nextEntry.timestamp - entry.timestamp
+      } else if (!nextEntry && index === historyData.currentIndex && entry.timestamp) {
+        dwellTime = Date.now() - entry.timestamp
+      }
+
+      var item = document.createElement('div')
+      item.className = 'timeline-item'
+      if (index === historyData.currentIndex) {
+        item.classList.add('current')
+      } else if (index > historyData.currentIndex) {
+        item.classList.add('future')
+      }
+
+      var title = document.createElement('div')
+      title.className = 'timeline-title'
+      title.textContent = entry.title || entry.url
+      item.appendChild(title)
+
+      var meta = document.createElement('div')
+      meta.className = 'timeline-meta'
+      meta.textContent = (entry.timestamp ? self.formatTimestamp(entry.timestamp) : '') +
+        (dwellTime !== null ? ' · ' + self.formatDwellTime(dwellTime) : '')
+      item.appendChild(meta)
+
+      item.title = entry.url
+
+      if (index !== historyData.currentIndex) {
+        item.addEventListener('click', function () {
+          require('branches/branchPanel.js').navigateToBreadcrumb(branch.id, index, entry.url, selectedTabId)
+        })
+      }
+
+      self.list.appendChild(item)
+    })
+
+    // Paths that were forked off this branch when the user went back and took another link
+    var forks = bs.getForks(branch.id)
+    if (forks.length > 0) {
+      var heading = document.createElement('div')
+      heading.className = 'timeline-heading'
+      heading.textContent = 'Forked paths'
+      this.list.appendChild(heading)
+
+      forks.forEach(function (fork) {
+        var item = document.createElement('div')
+        item.className = 'timeline-item fork'
+
+        var title = document.createElement('div')
+        title.className = 'timeline-title'
+        title.textContent = fork.title || fork.url
+        item.appendChild(title)
+
+        var meta = document.createElement('div')
+        meta.className = 'timeline-meta'
+        meta.textContent = (fork.history || []).length + ' pages · ' + self.formatTimestamp(fork.createdAt)
+        item.appendChild(meta)
+
+        item.addEventListener('click', function () {
+          require('branches/branchPanel.js').handleBranchClick(bs.get(fork.id))
+        })
+
+        self.list.appendChild(item)
+      })
+    }
+  }
+}
+
+module.exports = branchTimeline
@@ -0,0 +1,123 @@
+// Branch Browser - Focus Session Timer
+// Starts focus sessions from the sidebar and shows the time left in the current period (see focusSession.js)
+
+var focusSession = require('focusSession.js')
+
+var focusTimer = {
+  button: null,
+  bar: null,
+  phaseElement: null,
+  timeElement: null,
+  roundElement: null,
+  tickInterval: null,
+
+  initialize: function () {
+    this.button = document.getElementById('sidebar-focus-btn')
+    this.bar = document.getElementById('focus-session-bar')
+    this.phaseElement = document.getElementById('focus-session-phase')
+    this.timeElement = document.getElementById('focus-session-time')
+    this.roundElement = document.getElementById('focus-session-round')
+    if (!this.button || !this.bar) {
+      console.warn('[FocusTimer] Elements not found')
+      return
+    }
+
+    var self = this
+
+    this.button.addEventListener('click', function (e) {
+      if (focusSession.get().state === 'idle') {
+        focusSession.start()
+      } else {
+        var rect = self.button.getBoundingClientRect()
+        self.showMenu(rect.left, rect.top)
+      }
+      e.stopPropagation()
+    })
+
+    this.bar.addEventListener('click', function (e) {
+      self.showMenu(e.clientX, e.clientY)
+      e.stopPropagation()
+    })
+
+    focusSession.onChange(function () {
+      self.render()
+    })
+
+    this.render()
+  },
+
+  // Format the time left, e.g. "24:05"
+  formatTime: function (ms) {
+    var seconds = Math.ceil(ms / 1000)
+    var minutes = Math.floor(seconds / 60)
+    seconds = seconds % 60
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds
+  },
+
+  showMenu: function (x, y) {
+    var branchPanel = require('branches/branchPanel.js')
+    var session = focusSession.get()
+    var items = []
+
+    if (session.state === 'break') {
+      items.push({ icon: 'carbon:skip-forward', label: 'Skip Break', fn: focusSession.skipBreak })
+    }
+    if (session.state !== 'idle') {
+      items.push({ icon: 'carbon:stop', label: 'End Focus Session', fn: focusSession.stop })
+    }
+    if (items.length === 0) return
+
+    branchPanel.closeContextMenu()
+
+    var menu = document.createElement('div')
+    menu.className = 'branch-context-menu'
+
+    items.forEach(function (data) {
+      var item = document.createElement('div')
+      item.className = 'branch-context-menu-item'
+      item.innerHTML = '<i class="i ' + data.icon + '"></i> '
+      item.appendChild(document.createTextNode(data.label))
+      item.addEventListener('click', function () {
+        branchPanel.closeContextMenu()
+        data.fn()
+      })
+      menu.appendChild(item)
+    })
+
+    branchPanel.openContextMenu(menu, x, y)
+  },
+
+  render: function () {
+    if (!this.button || !this.bar) return
+
+    var self = this
+    var session = focusSession.get()
+    var isActive = session.state !== 'idle'
+
+    this.bar.hidden = !isActive
+    this.bar.setAttribute('data-state', session.state)
+    this.button.classList.toggle('active', isActive)
+
+    var completed = session.completedToday + (session.completedToday === 1 ? ' focus period' : ' focus periods') + ' completed today'
+    if (isActive) {
+      this.button.title = 'Focus session options - ' + completed
+    } else {
+      this.button.title = 'Start a ' + focusSession.getWorkMinutes() + ' minute focus session - ' + completed
+    }
+
+    clearInterval(this.tickInterval)
+    this.tickInterval = null
+    if (!isActive) return
+
+    this.phaseElement.textContent = session.state === 'focus' ? 'Focus' : 'Break'
+    this.roundElement.textContent = 'Round ' + session.round + ' of ' + session.rounds
+
+    var updateTime = function () {
+      self.timeElement.textContent = self.formatTime(focusSession.getRemainingTime())
+    }
+    updateTime()
+    this.tickInterval = setInterval(updateTime, 1000)
+  }
+}
+
+module.exports = focusTimer
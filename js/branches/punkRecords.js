@@ -0,0 +1,260 @@
+// Branch Browser: Punk Records activity export
+// Queues branch events in IndexedDB and sends them in batches to the endpoint in
+// browserConfig.punkRecords, retrying with backoff when it can't be reached
+
+var browserConfig = require('config/browserConfig.js')
+
+var database = null
+var branchState = null
+
+// Lazy load database module
+function getDb () {
+  if (database) return database
+  try {
+    database = require('util/database.js').db
+    return database
+  } catch (e) {
+    console.error('[PunkRecords] Failed to load database:', e)
+    return null
+  }
+}
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[PunkRecords] Failed to load branchState:', e)
+    return null
+  }
+}
+
+var BATCH_SIZE = 100
+var MAX_QUEUE_SIZE = 10000
+var MAX_BACKOFF_MS = 3600000 // 1 hour
+var MAX_CONTENT_LENGTH = 100000
+
+var flushTimeout = null
+var isFlushing = false
+var statusListeners = []
+
+var status = {
+  state: 'idle', // 'disabled', 'idle', 'syncing', 'synced', 'error' or 'offline'
+  pending: 0,
+  lastSyncAt: null,
+  error: null
+}
+
+function isEnabled () {
+  return !!(browserConfig.get('punkRecords.enabled') && browserConfig.get('punkRecords.endpoint'))
+}
+
+function setStatus (data) {
+  Object.assign(status, data)
+  statusListeners.forEach(function (listener) {
+    try {
+      listener(getStatus())
+    } catch (e) {
+      console.error('[PunkRecords] Status listener failed:', e)
+    }
+  })
+}
+
+function getStatus () {
+  return Object.assign({}, status)
+}
+
+function onStatusChange (listener) {
+  statusListeners.push(listener)
+}
+
+async function updatePendingCount () {
+  var db = getDb()
+  if (!db) return
+  setStatus({ pending: await db.eventQueue.count() })
+}
+
+// Add an event for a branch to the queue
+// type is 'branch-created', 'branch-navigated', 'branch-closed' or 'branch-selected'
+// Pages in private tabs are never sent to the endpoint
+async function record (type, branch) {
+  var bs = getBranchState()
+  if (!isEnabled() || !branch || !bs || bs.isPrivateBranch(branch)) return
+
+  var db = getDb()
+  if (!db) return
+
+  var event = {
+    type: type,
+    timestamp: Date.now(),
+    branchId: branch.id,
+    parentId: branch.parentId || null,
+    url: branch.url || '',
+    title: branch.title || '',
+    label: branch.label || '',
+    note: branch.note || '',
+    attempts: 0,
+    nextAttemptAt: 0
+  }
+
+  try {
+    await db.eventQueue.add(event)
+
+    // Drop the oldest events if the endpoint has been unreachable for a long time
+    var count = await db.eventQueue.count()
+    if (count > MAX_QUEUE_SIZE) {
+      var oldestKeys = await db.eventQueue.orderBy('id').limit(count - MAX_QUEUE_SIZE).primaryKeys()
+      await db.eventQueue.bulkDelete(oldestKeys)
+      count = MAX_QUEUE_SIZE
+    }
+    setStatus({ pending: count })
+  } catch (e) {
+    console.error('[PunkRecords] Failed to queue event:', e)
+  }
+}
+
+// Attach the text extracted from the page, if the places database has it by now
+async function addContent (event) {
+  var db = getDb()
+  if (event.type !== 'branch-navigated' || !event.url) {
+    return event
+  }
+
+  try {
+    var place = await db.places.where('url').equals(event.url).first()
+    if (place && place.extractedText) {
+      event.content = place.extractedText.substring(0, MAX_CONTENT_LENGTH)
+    }
+  } catch (e) {
+    console.warn('[PunkRecords] Failed to read page content:', e)
+  }
+  return event
+}
+
+function getBackoff (attempts) {
+  return Math.min(browserConfig.get('punkRecords.batchIntervalMs') * Math.pow(2, attempts), MAX_BACKOFF_MS)
+}
+
+// Send one batch of due events
+async function flush () {
+  if (isFlushing) return
+
+  if (!isEnabled()) {
+    setStatus({ state: 'disabled' })
+    return
+  }
+  if (status.state === 'disabled') {
+    setStatus({ state: 'idle' })
+  }
+
+  var db = getDb()
+  if (!db) return
+
+  if (!navigator.onLine) {
+    setStatus({ state: 'offline' })
+    return
+  }
+
+  isFlushing = true
+
+  try {
+    var now = Date.now()
+    var events = await db.eventQueue.where('nextAttemptAt').belowOrEqual(now).limit(BATCH_SIZE).toArray()
+
+    if (events.length === 0) {
+      await updatePendingCount()
+      return
+    }
+
+    setStatus({ state: 'syncing' })
+
+    var payload = events.map(function (event) {
+      return Object.assign({}, event, { attempts: undefined, nextAttemptAt: undefined })
+    })
+    if (browserConfig.get('punkRecords.exportContent')) {
+      payload = await Promise.all(payload.map(addContent))
+    }
+
+    var headers = { 'Content-Type': 'application/json' }
+    var apiKey = browserConfig.get('punkRecords.apiKey')
+    if (apiKey) {
+      headers.Authorization = 'Bearer ' + apiKey
+    }
+
+    var response
+    var error = null
+    try {
+      response = await fetch(browserConfig.get('punkRecords.endpoint'), {
+        method: 'POST',
+        headers: headers,
+        body: JSON.stringify({ source: 'branch-browser', events: payload })
+      })
+      if (!response.ok) {
+        error = 'Server responded with ' + response.status
+      }
+    } catch (e) {
+      error = e.message
+    }
+
+    var ids = events.map(function (event) {
+      return event.id
+    })
+
+    if (!error) {
+      await db.eventQueue.bulkDelete(ids)
+      await updatePendingCount()
+      setStatus({ state: 'synced', lastSyncAt: Date.now(), error: null })
+      console.log('[PunkRecords] Sent', events.length, 'events')
+    } else {
+      await db.transaction('rw', db.eventQueue, function () {
+        events.forEach(function (event) {
+          db.eventQueue.update(event.id, {
+            attempts: event.attempts + 1,
+            nextAttemptAt: Date.now() + getBackoff(event.attempts)
+          })
+        })
+      })
+      await updatePendingCount()
+      setStatus({ state: 'error', error: error })
+      console.warn('[PunkRecords] Failed to send events:', error)
+    }
+  } catch (e) {
+    console.error('[PunkRecords] Flush failed:', e)
+    setStatus({ state: 'error', error: e.message })
+  } finally {
+    isFlushing = false
+  }
+}
+
+function scheduleFlush () {
+  clearTimeout(flushTimeout)
+  flushTimeout = setTimeout(function () {
+    flush().finally(scheduleFlush)
+  }, browserConfig.get('punkRecords.batchIntervalMs'))
+}
+
+function initialize () {
+  if (!isEnabled()) {
+    setStatus({ state: 'disabled' })
+  } else {
+    updatePendingCount()
+  }
+
+  // Try again as soon as the connection comes back
+  window.addEventListener('online', function () {
+    flush()
+  })
+
+  scheduleFlush()
+}
+
+module.exports = {
+  initialize,
+  record,
+  flush,
+  getStatus,
+  onStatusChange,
+  isEnabled
+}
@@ -10,6 +10,8 @@ var focusMode = require('focusMode.js')
 var tabBar = require('navbar/tabBar.js')
 var tabEditor = require('navbar/tabEditor.js')
 var searchbar = require('searchbar/searchbar.js')
+// Only loads branchState when it's used, so it's safe to import here
+var branchFocus = require('branches/branchFocus.js')
 
 // Branch Browser: Import branch state management
 // DISABLED: Causes white screen by breaking module loading chain
@@ -18,6 +20,12 @@ var searchbar = require('searchbar/searchbar.js')
 /* creates a new task */
 
 function addTask () {
+  /* a new task would leave the focused branch */
+  if (branchFocus.isActive()) {
+    branchFocus.warn()
+    return
+  }
+
   // insert after current task
   let index
   if (tasks.getSelected()) {
@@ -139,6 +147,13 @@ function closeTab (tabId) {
     var nextTab =
     tabs.getAtIndex(currentIndex - 1) || tabs.getAtIndex(currentIndex + 1)
 
+    // with branch focus on, stay inside the focused branch
+    if (nextTab && !branchFocus.allowsTab(nextTab.id)) {
+      nextTab = tabs.get().find(function (tab) {
+        return tab.id !== tabId && branchFocus.allowsTab(tab.id)
+      })
+    }
+
     destroyTab(tabId)
 
     if (nextTab) {
@@ -178,6 +193,11 @@ function setWindowTitle () {
 /* changes the currently-selected task and updates the UI */
 
 function switchToTask (id) {
+  if (!branchFocus.allowsTask(id)) {
+    branchFocus.warn()
+    return
+  }
+
   tasks.setSelected(id)
 
   tabBar.updateAll()
@@ -224,6 +244,12 @@ tasks.on('tab-updated', function (id, key) {
 function switchToTab (id, options) {
   options = options || {}
 
+  // with branch focus on, tabs outside the focused branch can't be opened
+  if (!branchFocus.allowsTab(id) && tabs.get(tabs.getSelected())) {
+    branchFocus.warn()
+    return
+  }
+
   tabs.setSelected(id)
   tabBar.setActiveTab(id)
   webviews.setSelected(id, {
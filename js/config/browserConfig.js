@@ -3,31 +3,32 @@
 
 var settings = require('util/settings/settings.js')
 
-var defaultConfig = {
-  // Punk Records integration (Phase 4)
-  punkRecords: {
-    endpoint: 'https://punk-records-production.up.railway.app/api/browser/events',
-    apiKey: null, // Set via settings UI
-    enabled: false,
-    batchIntervalMs: 60000, // 60 seconds
-    exportContent: true // Include page text in exports
-  },
-
-  // Sleep system (Phase 3)
-  sleep: {
-    enabled: false,
-    timeoutMs: 300000, // 5 minutes
-    lowMemoryTimeoutMs: 120000, // 2 minutes when RAM pressure
-    keepAudioAwake: true // Don't sleep tabs playing audio
-  },
-
-  // UI settings (Phase 2)
-  ui: {
-    sidebarWidth: 250,
-    showSleepingIndicator: true,
-    showSyncStatus: true,
-    collapsedByDefault: false
+// Defaults live in their own file so the settings page can load them too
+var defaultConfig = require('config/browserConfigDefaults.js').branchBrowserDefaults
+var branchBrowserLimits = require('config/browserConfigDefaults.js').branchBrowserLimits
+
+// Check a saved value against the type of its default and the allowed range
+function isValid (path, value) {
+  var defaultValue = getDefault(path)
+  if (typeof defaultValue === 'boolean') {
+    return typeof value === 'boolean'
+  }
+
+  var limits = branchBrowserLimits[path]
+  if (limits) {
+    return typeof value === 'number' && isFinite(value) && value >= limits.min && value <= limits.max
   }
+
+  return true
+}
+
+function getDefault (path) {
+  var keys = path.split('.')
+  var value = defaultConfig
+  for (var i = 0; i < keys.length && value !== undefined; i++) {
+    value = value[keys[i]]
+  }
+  return value
 }
 
 // Get a config value with fallback to default
@@ -40,12 +41,9 @@ function get (path) {
     value = value ? value[keys[i]] : undefined
   }
 
-  // If not found, get from defaults
-  if (value === undefined) {
-    value = defaultConfig
-    for (var i = 0; i < keys.length && value !== undefined; i++) {
-      value = value[keys[i]]
-    }
+  // If not found or invalid (e.g. settings.json edited by hand), get from defaults
+  if (value === undefined || !isValid(path, value)) {
+    value = getDefault(path)
   }
 
   return value
@@ -92,5 +90,7 @@ module.exports = {
   get,
   set,
   getAll,
-  defaults: defaultConfig
+  isValid,
+  defaults: defaultConfig,
+  limits: branchBrowserLimits
 }
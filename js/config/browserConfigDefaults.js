@@ -0,0 +1,48 @@
+// Branch Browser configuration defaults
+// Shared by browserConfig.js and the settings page, which can't load browserConfig.js
+
+var branchBrowserDefaults = {
+  // Punk Records integration (Phase 4)
+  punkRecords: {
+    endpoint: 'https://punk-records-production.up.railway.app/api/browser/events',
+    apiKey: null, // Set via settings UI
+    enabled: false,
+    batchIntervalMs: 60000, // 60 seconds
+    exportContent: true // Include page text in exports
+  },
+
+  // Sleep system (Phase 3)
+  sleep: {
+    enabled: false,
+    timeoutMs: 300000, // 5 minutes
+    lowMemoryTimeoutMs: 120000, // 2 minutes when RAM pressure
+    keepAudioAwake: true // Don't sleep tabs playing audio
+  },
+
+  // Closed branches
+  archive: {
+    showClosed: true, // Show closed branches dimmed in the tree
+    retentionMs: 604800000 // 7 days before closed branches are purged
+  },
+
+  // UI settings (Phase 2)
+  ui: {
+    sidebarWidth: 260,
+    showSleepingIndicator: true,
+    showSyncStatus: true,
+    collapsedByDefault: false // Start with the sidebar collapsed to favicons
+  }
+}
+
+// Allowed range of each number setting - saved values outside it are ignored
+var branchBrowserLimits = {
+  'punkRecords.batchIntervalMs': { min: 5000, max: 3600000 }, // 5 seconds - 1 hour
+  'sleep.timeoutMs': { min: 60000, max: 86400000 }, // 1 minute - 1 day
+  'sleep.lowMemoryTimeoutMs': { min: 60000, max: 86400000 },
+  'archive.retentionMs': { min: 86400000, max: 31536000000 }, // 1 day - 1 year
+  'ui.sidebarWidth': { min: 180, max: 480 }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { branchBrowserDefaults, branchBrowserLimits }
+}
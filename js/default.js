@@ -151,6 +151,9 @@ require('navbar/tabColor.js').initialize()
 // Navigation buttons removed - using breadcrumb navigation instead
 // require('navbar/navigationButtons.js').initialize()
 require('downloadManager.js').initialize()
+require('downloadHistory.js').initialize()
+require('linkHints.js').initialize()
+require('blockedRequestLog.js').initialize()
 require('webviewMenu.js').initialize()
 require('contextMenu.js').initialize()
 require('menuRenderer.js').initialize()
@@ -189,6 +192,24 @@ require('sessionRestore.js').initialize()
     console.error('[BranchBrowser] branchPanel init failed:', e)
   }
 
+  try {
+    require('branches/branchTimeline.js').initialize()
+  } catch (e) {
+    console.error('[BranchBrowser] branchTimeline init failed:', e)
+  }
+
+  try {
+    require('branches/focusTimer.js').initialize()
+  } catch (e) {
+    console.error('[BranchBrowser] focusTimer init failed:', e)
+  }
+
+  try {
+    require('branches/branchGraph.js').initialize()
+  } catch (e) {
+    console.error('[BranchBrowser] branchGraph init failed:', e)
+  }
+
   // Then try to initialize branchEvents (handles branch creation on navigation)
   // This requires database, so wrap in dbReady
   try {
@@ -201,6 +222,17 @@ require('sessionRestore.js').initialize()
       } catch (e) {
         console.error('[BranchBrowser] branchEvents init failed:', e)
       }
+      try {
+        require('branches/branchSleep.js').initialize()
+      } catch (e) {
+        console.error('[BranchBrowser] branchSleep init failed:', e)
+      }
+      try {
+        require('branches/punkRecords.js').initialize()
+        require('branches/branchSyncStatus.js').initialize()
+      } catch (e) {
+        console.error('[BranchBrowser] punkRecords init failed:', e)
+      }
     }).catch(function (e) {
       console.error('[BranchBrowser] Database ready failed:', e)
       // branchPanel is already initialized, so sidebar still works
@@ -226,11 +258,12 @@ require('searchbar/historyViewer.js').initialize()
 // require('searchbar/developmentModeNotification.js').initialize() // Disabled for Branch Browser
 require('searchbar/shortcutButtons.js').initialize()
 require('searchbar/calculatorPlugin.js').initialize()
+require('searchbar/branchNotesPlugin.js').initialize()
 
 // CRITICAL: Set sidebar margin BEFORE creating webviews
-// This ensures getViewBounds() uses x=260 instead of x=0
+// This ensures getViewBounds() starts at the sidebar's edge instead of x=0
 var webviews = require('webviews.js')
-var SIDEBAR_WIDTH = 260
+var SIDEBAR_WIDTH = require('config/browserConfig.js').get('ui.sidebarWidth')
 console.log('[BranchBrowser] viewMargins BEFORE:', JSON.stringify(webviews.viewMargins))
 webviews.adjustMargin([0, 0, 0, SIDEBAR_WIDTH])
 console.log('[BranchBrowser] viewMargins AFTER:', JSON.stringify(webviews.viewMargins))
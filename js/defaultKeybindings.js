@@ -7,7 +7,11 @@ var tabEditor = require('navbar/tabEditor.js')
 var urlParser = require('util/urlParser.js')
 var keyMapModule = require('util/keyMap.js')
 var settings = require('util/settings/settings.js')
+var cleanLink = require('util/cleanLink.js')
 var branchPanel = require('branches/branchPanel.js')
+var downloadHistory = require('downloadHistory.js')
+var branchNavigation = require('branches/branchNavigation.js')
+var linkHints = require('linkHints.js')
 var spotlightOverlay = require('spotlight/spotlightOverlay.js')
 
 var keyMap = keyMapModule.userKeyMap(settings.get('keyMap'))
@@ -275,9 +279,10 @@ const defaultKeybindings = {
     })
 
     keybindings.defineShortcut('reload', function () {
-      if (tabs.get(tabs.getSelected()).url.startsWith(webviews.internalPages.error)) {
+      const url = tabs.get(tabs.getSelected()).url
+      if (url.startsWith(webviews.internalPages.error) || url.startsWith(webviews.internalPages.httpsOnly)) {
         // reload the original page rather than show the error page again
-        webviews.update(tabs.getSelected(), new URL(tabs.get(tabs.getSelected()).url).searchParams.get('url'))
+        webviews.update(tabs.getSelected(), new URL(url).searchParams.get('url'))
       } else {
         // this can't be an error page, use the normal reload method
         webviews.callAsync(tabs.getSelected(), 'reload')
@@ -292,18 +297,53 @@ const defaultKeybindings = {
       tabEditor.show(tabs.getSelected(), '!history ')
     })
 
+    keybindings.defineShortcut('showDownloads', function () {
+      downloadHistory.show()
+    })
+
+    keybindings.defineShortcut('showLinkHints', function () {
+      linkHints.show()
+    })
+
+    // Branch tree navigation
+    keybindings.defineShortcut('goToParentBranch', function () {
+      branchNavigation.goToParent()
+    })
+
+    keybindings.defineShortcut('goToFirstChildBranch', function () {
+      branchNavigation.goToFirstChild()
+    })
+
+    keybindings.defineShortcut('goToPreviousSiblingBranch', function () {
+      branchNavigation.goToSibling(-1)
+    })
+
+    keybindings.defineShortcut('goToNextSiblingBranch', function () {
+      branchNavigation.goToSibling(1)
+    })
+
+    keybindings.defineShortcut('toggleBranchCollapse', function () {
+      branchNavigation.toggleCollapse()
+    })
+
+    keybindings.defineShortcut('closeBranchWithChildren', function () {
+      branchNavigation.closeWithChildren()
+    })
+
     keybindings.defineShortcut('copyPageURL', function () {
       const tab = tabs.get(tabs.getSelected())
-      const url = urlParser.getSourceURL(tab.url)
-      if (url) {
-        const anchorTag = document.createElement('a')
-        anchorTag.href = url
-        anchorTag.textContent = url
-
-        electron.clipboard.write({
-          text: url,
-          bookmark: tab.title,
-          html: anchorTag.outerHTML
+      const sourceURL = urlParser.getSourceURL(tab.url)
+      if (sourceURL) {
+        cleanLink(sourceURL).then(function (url) {
+          const anchorTag = document.createElement('a')
+          anchorTag.href = url
+          anchorTag.textContent = url
+
+          electron.clipboard.write({
+            text: url,
+            bookmark: tab.title,
+            html: anchorTag.outerHTML
+          })
         })
       }
     })
@@ -0,0 +1,160 @@
+// Serves the download history (kept by main/download.js) to the useful://app/pages/downloads page,
+// and keeps a copy so that the branch panel can show the files downloaded from each branch
+
+var webviews = require('webviews.js')
+var browserUI = require('browserUI.js')
+var urlParser = require('util/urlParser.js')
+
+var DOWNLOADS_URL = 'useful://app/pages/downloads/index.html'
+
+var downloads = []
+var listeners = []
+// used to skip notifying listeners about progress updates, which don't change what branches show
+var lastSignature = ''
+
+function getSignature (entries) {
+  return entries.map(function (entry) {
+    return [entry.id, entry.branchId, entry.state, entry.exists].join(':')
+  }).join(',')
+}
+
+// checkFiles looks for the files of finished downloads again, which is too slow to do on every progress update
+function loadHistory (checkFiles) {
+  ipc.invoke('getDownloadHistory', { checkFiles: checkFiles === true }).then(function (data) {
+    downloads = data
+
+    var signature = getSignature(downloads)
+    if (signature !== lastSignature) {
+      lastSignature = signature
+      listeners.forEach(function (listener) {
+        listener()
+      })
+    }
+  })
+}
+
+// Downloads started from a branch, newest first - cancelled downloads are left out
+function getForBranch (branchId) {
+  return downloads.filter(function (entry) {
+    return entry.branchId === branchId && entry.state !== 'cancelled'
+  }).reverse()
+}
+
+function onChange (listener) {
+  listeners.push(listener)
+}
+
+// Open a finished download, or resume one that was interrupted
+function open (entry) {
+  if (entry.state === 'interrupted') {
+    ipc.send('resumeDownload', entry.id)
+  } else if (entry.state === 'completed' && entry.exists) {
+    electron.shell.openPath(entry.path)
+  }
+}
+
+function showInFolder (entry) {
+  ipc.invoke('showItemInFolder', entry.path)
+}
+
+function isDownloadsTab (tab) {
+  return tab.url && tab.url.startsWith(DOWNLOADS_URL)
+}
+
+function sendHistory (tabId, checkFiles) {
+  ipc.invoke('getDownloadHistory', { checkFiles: checkFiles === true }).then(function (data) {
+    webviews.callAsync(tabId, 'send', ['receiveDownloadHistory', data])
+  })
+}
+
+// Push the history to every open downloads page
+function updateOpenPages () {
+  tasks.forEach(function (task) {
+    task.tabs.forEach(function (tab) {
+      if (isDownloadsTab(tab) && tab.hasWebContents) {
+        try {
+          sendHistory(tab.id)
+        } catch (e) {
+          // webview might not actually exist
+        }
+      }
+    })
+  })
+}
+
+// Open the downloads page, or switch to it if it is already open
+function show () {
+  var existing = tabs.get().find(isDownloadsTab)
+  if (existing) {
+    browserUI.switchToTab(existing.id)
+    return
+  }
+
+  browserUI.addTab(tabs.add({ url: DOWNLOADS_URL }), { enterEditMode: false })
+}
+
+// Pages only send the id of a download, so they can't open files that aren't finished downloads
+function withCompletedDownload (id, fn) {
+  ipc.invoke('getDownloadHistory').then(function (data) {
+    var entry = data.find(entry => entry.id === id)
+    if (entry && entry.state === 'completed' && entry.exists) {
+      fn(entry)
+    }
+  })
+}
+
+// Page actions, only accepted from internal pages
+function bindPageAction (name, fn) {
+  webviews.bindIPC(name, function (tabId, args) {
+    if (!urlParser.isInternalURL(tabs.get(tabId).url)) {
+      throw new Error()
+    }
+    fn(tabId, args[0])
+  })
+}
+
+function initialize () {
+  bindPageAction('getDownloadHistory', function (tabId) {
+    sendHistory(tabId, true)
+  })
+
+  bindPageAction('openDownload', function (tabId, data) {
+    withCompletedDownload(data.id, function (entry) {
+      electron.shell.openPath(entry.path)
+    })
+  })
+
+  bindPageAction('showDownloadInFolder', function (tabId, data) {
+    withCompletedDownload(data.id, showInFolder)
+  })
+
+  bindPageAction('resumeDownload', function (tabId, data) {
+    ipc.send('resumeDownload', data.id)
+  })
+
+  bindPageAction('removeDownload', function (tabId, data) {
+    ipc.send('removeDownloadHistoryEntry', data.id)
+  })
+
+  bindPageAction('clearDownloadHistory', function () {
+    ipc.send('clearDownloadHistory')
+  })
+
+  ipc.on('downloadHistoryUpdated', function () {
+    loadHistory()
+    updateOpenPages()
+  })
+
+  loadHistory(true)
+
+  ipc.on('showDownloads', show)
+}
+
+module.exports = {
+  initialize,
+  show,
+  getForBranch,
+  onChange,
+  open,
+  showInFolder
+}
@@ -1,4 +1,5 @@
 var webviews = require('webviews.js')
+var downloadHistory = require('downloadHistory.js')
 const remoteMenu = require('remoteMenuRenderer.js')
 
 function getFileSizeString (bytes) {
@@ -20,6 +21,7 @@ const downloadManager = {
   bar: document.getElementById('download-bar'),
   container: document.getElementById('download-container'),
   closeButton: document.getElementById('download-close-button'),
+  historyButton: document.getElementById('download-history-button'),
   height: 40,
   lastDownloadCompleted: null,
   downloadItems: {},
@@ -69,6 +71,21 @@ const downloadManager = {
       }, 100)
     }
   },
+  // record which branch the download was started from in the download history
+  saveSourceBranch: function (downloadItem) {
+    if (!downloadItem.id || !downloadItem.tabId) {
+      return
+    }
+
+    try {
+      var branch = require('branches/branchState.js').getByTabId(downloadItem.tabId)
+      if (branch) {
+        ipc.send('setDownloadBranch', { id: downloadItem.id, branchId: branch.id })
+      }
+    } catch (e) {
+      console.error('[DownloadManager] Failed to find the source branch:', e)
+    }
+  },
   onItemDragged: function (path) {
     ipc.invoke('startFileDrag', path)
   },
@@ -134,6 +151,19 @@ const downloadManager = {
         ]
       ]
 
+      if (downloadManager.downloadItems[downloadItem.path].status === 'interrupted') {
+        template = [
+          [
+            {
+              label: l('downloadResume'),
+              click: function () {
+                ipc.send('resumeDownload', downloadItem.id)
+              }
+            }
+          ]
+        ]
+      }
+
       remoteMenu.open(template, Math.round(dropdown.getBoundingClientRect().left), Math.round(dropdown.getBoundingClientRect().top - 15))
     })
 
@@ -161,7 +191,8 @@ const downloadManager = {
       elements.container.classList.remove('loading')
       elements.container.classList.remove('completed')
       elements.progress.hidden = true
-      elements.dropdown.hidden = true
+      // downloads that aren't saved to the history (from private tabs) can't be resumed
+      elements.dropdown.hidden = !downloadItem.id
       elements.openFolder.hidden = true
       elements.infoBox.textContent = l('downloadStateFailed')
       elements.detailedInfoBox.textContent = l('downloadStateFailed')
@@ -184,6 +215,11 @@ const downloadManager = {
       downloadManager.hide()
     })
 
+    this.historyButton.title = l('downloadShowAll')
+    this.historyButton.addEventListener('click', function () {
+      downloadHistory.show()
+    })
+
     ipc.on('download-info', function (e, info) {
       if (!info.path) {
         // download save location hasn't been chosen yet
@@ -202,6 +238,7 @@ const downloadManager = {
       if (!downloadManager.downloadItems[info.path]) {
         downloadManager.show()
         downloadManager.createItem(info)
+        downloadManager.saveSourceBranch(info)
       }
       downloadManager.updateItem(info)
 
@@ -0,0 +1,72 @@
+// Timed focus sessions - the timer and blocklist live in the main process (main/focusSession.js)
+// so all windows share one session; this keeps a copy of its state for the UI
+
+var settings = require('util/settings/settings.js')
+
+var session = {
+  state: 'idle', // 'idle', 'focus' or 'break'
+  round: 0,
+  rounds: 0,
+  periodStartedAt: null,
+  endsAt: null,
+  completedToday: 0
+}
+
+var listeners = []
+
+function setSession (data) {
+  session = data
+  listeners.forEach(function (listener) {
+    listener(session)
+  })
+}
+
+ipc.on('focusSessionUpdated', function (e, data) {
+  setSession(data)
+})
+
+ipc.invoke('getFocusSession').then(setSession)
+
+module.exports = {
+  get: function () {
+    return session
+  },
+  onChange: function (listener) {
+    listeners.push(listener)
+  },
+  start: function () {
+    ipc.send('startFocusSession')
+  },
+  stop: function () {
+    ipc.send('stopFocusSession')
+  },
+  skipBreak: function () {
+    ipc.send('skipFocusSessionBreak')
+  },
+  getRemainingTime: function () {
+    return session.endsAt ? Math.max(0, session.endsAt - Date.now()) : 0
+  },
+  getWorkMinutes: function () {
+    var value = settings.get('focusSessions')
+    return (value && value.workMinutes) || 25
+  },
+  // whether a page can't be opened because of the current focus period
+  isBlocked: function (url) {
+    var value = settings.get('focusSessions')
+    if (session.state !== 'focus' || !value || !value.blocklist) {
+      return false
+    }
+
+    var host
+    try {
+      host = new URL(url).hostname.replace(/^www\./i, '')
+    } catch (e) {
+      return false
+    }
+
+    return value.blocklist.some(function (domain) {
+      domain = domain.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split('/')[0].replace(/^www\./, '')
+      return domain && (host === domain || host.endsWith('.' + domain))
+    })
+  }
+}
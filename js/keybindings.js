@@ -10,11 +10,15 @@ const keyMapModule = require('util/keyMap.js')
 var webviews = require('webviews.js')
 var modalMode = require('modalMode.js')
 var settings = require('util/settings/settings.js')
+var urlParser = require('util/urlParser.js')
 
 var keyMap = keyMapModule.userKeyMap(settings.get('keyMap'))
 
 var shortcutsList = []
 
+// the settings page stops shortcuts from running while it records a new one
+var pausedTabId = null
+
 /*
 Determines whether a shortcut can actually run
 single-letter shortcuts and shortcuts used for text editing can't run when an input is focused
@@ -159,9 +163,19 @@ function beforeInputEventHandler (input) {
 
 function initialize () {
   webviews.bindEvent('before-input-event', function (tabId, input) {
+    if (tabId === pausedTabId) {
+      return
+    }
     beforeInputEventHandler(input)
   })
 
+  webviews.bindIPC('pauseShortcuts', function (tabId, args) {
+    if (!urlParser.isInternalURL(tabs.get(tabId).url)) {
+      throw new Error()
+    }
+    pausedTabId = args[0].paused ? tabId : null
+  })
+
   ipc.on('before-input-event', function (e, input) {
     beforeInputEventHandler(input)
   })
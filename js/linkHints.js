@@ -0,0 +1,87 @@
+// Link hints: labels the links in the page so they can be followed from the keyboard (the labels are drawn by js/preload/linkHints.js)
+// Links followed with Shift open as a child branch of the current tab, links followed with Alt/Option open as a sibling branch
+
+var webviews = require('webviews.js')
+var browserUI = require('browserUI.js')
+var focusMode = require('focusMode.js')
+
+var branchState = null
+
+// Lazy load branchState module
+function getBranchState () {
+  if (branchState) return branchState
+  try {
+    branchState = require('branches/branchState.js')
+    return branchState
+  } catch (e) {
+    console.error('[LinkHints] Failed to load branchState:', e)
+    return null
+  }
+}
+
+function show () {
+  var tabId = tabs.getSelected()
+  if (!tabId || !tabs.get(tabId).hasWebContents) {
+    return
+  }
+  webviews.callAsync(tabId, 'send', ['showLinkHints'])
+}
+
+// Child branches are parented to the current tab's branch, sibling branches to its parent
+function getParentBranchId (tabId, asSibling) {
+  var bs = getBranchState()
+  if (!bs) {
+    return asSibling ? null : tabs.get(tabId).branchId
+  }
+  if (asSibling) {
+    return bs.getSiblingParentId(tabId)
+  }
+
+  var currentBranch = bs.isLoaded() ? bs.getByTabId(tabId) : null
+  return currentBranch ? currentBranch.id : tabs.get(tabId).branchId
+}
+
+function openLink (tabId, url, asSibling) {
+  if (focusMode.enabled()) {
+    focusMode.warn()
+    return
+  }
+
+  var newTabId = tabs.add({
+    url: url,
+    parentBranchId: getParentBranchId(tabId, asSibling),
+    isSiblingTab: asSibling,
+    private: tabs.get(tabId).private
+  })
+  browserUI.addTab(newTabId, { enterEditMode: false })
+}
+
+function initialize () {
+  webviews.bindIPC('openLinkHint', function (tabId, args) {
+    var data = args[0]
+    if (!data || typeof data.url !== 'string' || tabId !== tabs.getSelected()) {
+      return
+    }
+
+    var url
+    try {
+      url = new URL(data.url)
+    } catch (e) {
+      return
+    }
+
+    // file: links are only opened from pages that are local files too
+    var fromFile = (tabs.get(tabId).url || '').startsWith('file:')
+    if (!(['http:', 'https:'].includes(url.protocol) || (url.protocol === 'file:' && fromFile))) {
+      console.warn('[LinkHints] Refusing to open ' + url.protocol + ' link')
+      return
+    }
+
+    openLink(tabId, url.toString(), data.asSibling === true)
+  })
+}
+
+module.exports = {
+  initialize,
+  show
+}
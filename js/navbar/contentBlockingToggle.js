@@ -1,6 +1,28 @@
 const webviews = require('webviews.js')
 const settings = require('util/settings/settings.js')
 const remoteMenu = require('remoteMenuRenderer.js')
+const blockedRequestLog = require('blockedRequestLog.js')
+
+// the number of blocked URLs shown for each rule in the menu
+const maxURLsPerRule = 5
+const maxMenuLabelLength = 80
+
+function shortenLabel (text) {
+  return text.length > maxMenuLabelLength ? text.substring(0, maxMenuLabelLength - 1) + '…' : text
+}
+
+function getEntryDescription (entry) {
+  if (entry.reason === 'contentType') {
+    return l('blockedRequestsContentType')
+  }
+  if (entry.reason === 'trackingParams') {
+    return l('blockedRequestsTrackingParams').replace('%p', entry.params.join(', '))
+  }
+  if (entry.list) {
+    return l('blockedRequestsRuleFromList').replace('%r', entry.rule).replace('%l', entry.list)
+  }
+  return l('blockedRequestsRule').replace('%r', entry.rule)
+}
 
 const contentBlockingToggle = {
   enableBlocking: function (url) {
@@ -50,6 +72,79 @@ const contentBlockingToggle = {
     var setting = settings.get('filtering')
     return !setting || !setting.exceptionDomains || !setting.exceptionDomains.some(d => d.replace(/^www\./g, '') === domain.replace(/^www\./g, ''))
   },
+  allow: function (site, blockedDomain, rule) {
+    var tabId = tabs.getSelected()
+    blockedRequestLog.allow(site, blockedDomain, rule).then(function () {
+      webviews.callAsync(tabId, 'reload')
+    })
+  },
+  // Creates the submenu for the requests blocked from one domain, grouped by the rule that blocked them
+  getDomainSubmenu: function (site, group) {
+    var rules = {}
+    group.entries.forEach(function (entry) {
+      var key = getEntryDescription(entry)
+      if (!rules[key]) {
+        rules[key] = []
+      }
+      rules[key].push(entry)
+    })
+
+    var submenu = []
+    var allowItems = [
+      {
+        label: l('blockedRequestsAllowDomain').replace('%d', group.domain).replace('%s', site),
+        click: function () {
+          contentBlockingToggle.allow(site, group.domain)
+        }
+      }
+    ]
+
+    for (var key in rules) {
+      var entries = rules[key]
+      submenu.push({ label: shortenLabel(key), enabled: false })
+
+      var urls = Array.from(new Set(entries.map(entry => entry.resourceType + ': ' + entry.url)))
+      urls.slice(0, maxURLsPerRule).forEach(function (url) {
+        submenu.push({ label: '    ' + shortenLabel(url), enabled: false })
+      })
+      if (urls.length > maxURLsPerRule) {
+        submenu.push({ label: '    ' + l('blockedRequestsMore').replace('%n', urls.length - maxURLsPerRule), enabled: false })
+      }
+
+      if (entries[0].reason === 'filter') {
+        const rule = entries[0].rule
+        allowItems.push({
+          label: shortenLabel(l('blockedRequestsAllowRule').replace('%r', rule).replace('%s', site)),
+          click: function () {
+            contentBlockingToggle.allow(site, group.domain, rule)
+          }
+        })
+      }
+    }
+
+    // content type blocking and tracking parameters can't be allowed from here, so only offer to allow domains with filtered requests
+    if (group.entries.some(entry => entry.reason === 'filter')) {
+      submenu.push({ type: 'separator' })
+      submenu = submenu.concat(allowItems)
+    }
+
+    return submenu
+  },
+  getBlockedRequestsMenu: function (tabId, url) {
+    var site = new URL(url).hostname.replace(/^www\./, '')
+    var groups = blockedRequestLog.getByDomain(tabId)
+
+    if (groups.length === 0) {
+      return [{ label: l('blockedRequestsNone'), enabled: false }]
+    }
+
+    return [{ label: l('blockedRequestsHeading').replace('%n', blockedRequestLog.get(tabId).length), enabled: false }].concat(groups.map(function (group) {
+      return {
+        label: group.domain + ' (' + group.entries.length + ')',
+        submenu: contentBlockingToggle.getDomainSubmenu(site, group)
+      }
+    }))
+  },
   create: function () {
     const button = document.createElement('button')
     button.className = 'tab-editor-button i carbon:manage-protection'
@@ -78,6 +173,7 @@ const contentBlockingToggle = {
           }
         }
       ],
+      contentBlockingToggle.getBlockedRequestsMenu(tabs.getSelected(), url),
       [
         {
           label: l('appMenuReportBug'),
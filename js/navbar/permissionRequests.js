@@ -1,16 +1,58 @@
 const { ipcRenderer } = require('electron')
 const webviews = require('webviews.js')
+const remoteMenu = require('remoteMenuRenderer.js')
 
 const permissionRequests = {
   requests: [],
   listeners: [],
-  grantPermission: function (permissionId) {
+  // always saves the grant for the site, otherwise it only lasts until the page is closed or navigated
+  grantPermission: function (permissionId, always) {
     permissionRequests.requests.forEach(function (request) {
       if (request.permissionId && request.permissionId === permissionId) {
-        ipcRenderer.send('permissionGranted', permissionId)
+        ipcRenderer.send('permissionGranted', permissionId, { always: always === true })
       }
     })
   },
+  denyPermission: function (permissionId) {
+    ipcRenderer.send('permissionDenied', permissionId)
+  },
+  showMenu: function (request, button) {
+    var menu = []
+    if (!request.granted) {
+      menu.push([
+        {
+          label: l('permissionAllow'),
+          click: function () {
+            permissionRequests.grantPermission(request.permissionId)
+            button.classList.add('active')
+          }
+        },
+        {
+          label: l('permissionAlwaysAllow'),
+          click: function () {
+            permissionRequests.grantPermission(request.permissionId, true)
+            button.classList.add('active')
+          }
+        },
+        {
+          label: l('permissionAlwaysBlock'),
+          click: function () {
+            permissionRequests.denyPermission(request.permissionId)
+          }
+        }
+      ])
+    }
+    menu.push([
+      {
+        label: l('permissionManage'),
+        click: function () {
+          var newTab = tabs.add({ url: 'useful://app/pages/settings/index.html#site-permissions-settings-container' })
+          require('browserUI.js').addTab(newTab, { enterEditMode: false })
+        }
+      }
+    ])
+    remoteMenu.open(menu)
+  },
   getIcons: function (request) {
     if (request.permission === 'notifications') {
       return ['carbon:chat']
@@ -54,6 +96,11 @@ const permissionRequests = {
             button.classList.add('active')
           }
         })
+        button.addEventListener('contextmenu', function (e) {
+          e.preventDefault()
+          e.stopPropagation()
+          permissionRequests.showMenu(request, button)
+        })
         buttons.push(button)
       }
     })
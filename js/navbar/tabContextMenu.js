@@ -62,7 +62,7 @@ const tabContextMenu = {
     tabMenu[0].push( {
       label: l('tabMenuReload'),
       click: function () {
-        if (tabs.get(tabId).url.startsWith(webviews.internalPages.error)) {
+        if (tabs.get(tabId).url.startsWith(webviews.internalPages.error) || tabs.get(tabId).url.startsWith(webviews.internalPages.httpsOnly)) {
           // reload the original page rather than show the error page again
           webviews.update(tabId, new URL(tabs.get(tabId).url).searchParams.get('url'))
         } else {
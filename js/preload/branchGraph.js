@@ -0,0 +1,21 @@
+/* relays branch tree data between the browser window and the branch graph page */
+
+window.addEventListener('message', function (e) {
+  if (!e.origin.startsWith('useful://')) {
+    return
+  }
+
+  if (e.data && e.data.message === 'getBranchTree') {
+    ipc.send('getBranchTree')
+  }
+
+  if (e.data && e.data.message === 'openBranch') {
+    ipc.send('openBranch', { branchId: e.data.branchId })
+  }
+})
+
+ipc.on('receiveBranchTree', function (e, data) {
+  if (window.location.toString().startsWith('useful://')) {
+    window.postMessage({ message: 'receiveBranchTree', tree: data.tree, selectedBranchId: data.selectedBranchId }, window.location.toString())
+  }
+})
@@ -0,0 +1,42 @@
+/* hides page elements that match the element hiding rules in the filter lists (see main/filtering.js) */
+
+var cosmeticFilters = {
+  // selectors are inserted in groups, since a stylesheet with one rule per selector is slow to match
+  groupSize: 100,
+  insertSelectors: function (sheet, selectors) {
+    try {
+      sheet.insertRule(selectors.join(', ') + ' { display: none !important; }', sheet.cssRules.length)
+    } catch (e) {
+      // one invalid selector makes the whole rule invalid, so insert the group one selector at a time instead
+      if (selectors.length > 1) {
+        selectors.forEach(function (selector) {
+          cosmeticFilters.insertSelectors(sheet, [selector])
+        })
+      }
+    }
+  },
+  inject: function (selectors) {
+    var parent = document.head || document.documentElement
+    if (!parent) {
+      document.addEventListener('readystatechange', function () {
+        cosmeticFilters.inject(selectors)
+      }, { once: true })
+      return
+    }
+
+    var style = document.createElement('style')
+    parent.appendChild(style)
+
+    for (var i = 0; i < selectors.length; i += cosmeticFilters.groupSize) {
+      cosmeticFilters.insertSelectors(style.sheet, selectors.slice(i, i + cosmeticFilters.groupSize))
+    }
+  }
+}
+
+if (window.location.protocol === 'http:' || window.location.protocol === 'https:') {
+  ipc.invoke('getCosmeticFilters', window.location.href).then(function (selectors) {
+    if (selectors.length > 0) {
+      cosmeticFilters.inject(selectors)
+    }
+  })
+}
@@ -0,0 +1,17 @@
+/* relays download history and actions between the browser window and the downloads page */
+
+window.addEventListener('message', function (e) {
+  if (!e.origin.startsWith('useful://')) {
+    return
+  }
+
+  if (e.data && ['getDownloadHistory', 'openDownload', 'showDownloadInFolder', 'resumeDownload', 'removeDownload', 'clearDownloadHistory'].includes(e.data.message)) {
+    ipc.send(e.data.message, { id: e.data.id })
+  }
+})
+
+ipc.on('receiveDownloadHistory', function (e, data) {
+  if (window.location.toString().startsWith('useful://')) {
+    window.postMessage({ message: 'receiveDownloadHistory', history: data }, window.location.toString())
+  }
+})
@@ -0,0 +1,205 @@
+/*
+Link hints: shows a short label over every visible link, so links can be followed from the keyboard.
+Typing a label follows the link in the current tab; holding Shift while typing the last letter opens it
+as a child branch, and holding Alt/Option opens it as a sibling branch (see js/linkHints.js)
+*/
+
+var linkHints = {
+  alphabet: 'sadfjklewcmpgh',
+  host: null,
+  hints: [],
+  typed: '',
+  // Get the links that are at least partly in the viewport and not covered by something else
+  getVisibleLinks: function () {
+    return Array.from(document.querySelectorAll('a[href], area[href]')).filter(function (link) {
+      var rect = link.getClientRects()[0]
+      if (!rect || rect.width === 0 || rect.height === 0) {
+        return false
+      }
+      if (rect.bottom < 0 || rect.right < 0 || rect.top > window.innerHeight || rect.left > window.innerWidth) {
+        return false
+      }
+
+      var x = Math.min(Math.max(rect.left + rect.width / 2, 0), window.innerWidth - 1)
+      var y = Math.min(Math.max(rect.top + rect.height / 2, 0), window.innerHeight - 1)
+      var element = document.elementFromPoint(x, y)
+      return element && (link.contains(element) || element.contains(link))
+    })
+  },
+  // Labels all have the same length, so that no label is the start of another one
+  getLabels: function (count) {
+    var length = 1
+    while (Math.pow(linkHints.alphabet.length, length) < count) {
+      length++
+    }
+
+    var labels = []
+    for (var i = 0; i < count; i++) {
+      var label = ''
+      var n = i
+      for (var j = 0; j < length; j++) {
+        label = linkHints.alphabet[n % linkHints.alphabet.length] + label
+        n = Math.floor(n / linkHints.alphabet.length)
+      }
+      labels.push(label)
+    }
+    return labels
+  },
+  show: function () {
+    var links = linkHints.getVisibleLinks()
+    if (links.length === 0) {
+      return
+    }
+
+    // the shadow root keeps page styles away from the hints
+    linkHints.host = document.createElement('div')
+    var shadow = linkHints.host.attachShadow({ mode: 'closed' })
+
+    var style = document.createElement('style')
+    style.textContent = `
+      .hint {
+        position: fixed;
+        z-index: 2147483647;
+        padding: 1px 3px;
+        background: rgb(255, 221, 87);
+        border: 1px solid rgb(200, 160, 30);
+        border-radius: 3px;
+        color: black;
+        font: bold 11px/1.2 monospace;
+        text-transform: uppercase;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.3);
+      }
+      .hint .typed {
+        opacity: 0.4;
+      }
+      .legend {
+        position: fixed;
+        z-index: 2147483647;
+        bottom: 8px;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 4px 10px;
+        background: rgba(0, 0, 0, 0.8);
+        border-radius: 4px;
+        color: white;
+        font: 12px sans-serif;
+      }
+    `
+    shadow.appendChild(style)
+
+    var labels = linkHints.getLabels(links.length)
+    linkHints.hints = links.map(function (link, i) {
+      var rect = link.getClientRects()[0]
+      var element = document.createElement('div')
+      element.className = 'hint'
+      element.style.left = Math.max(rect.left, 0) + 'px'
+      element.style.top = Math.max(rect.top, 0) + 'px'
+      element.textContent = labels[i]
+      shadow.appendChild(element)
+
+      return { link: link, label: labels[i], element: element }
+    })
+
+    var legend = document.createElement('div')
+    legend.className = 'legend'
+    legend.textContent = 'Type a label to follow a link · Shift: new child branch · Alt: sibling branch · Esc: cancel'
+    shadow.appendChild(legend)
+
+    document.documentElement.appendChild(linkHints.host)
+    linkHints.typed = ''
+
+    window.addEventListener('keydown', linkHints.onKeyDown, true)
+    window.addEventListener('scroll', linkHints.hide, true)
+    window.addEventListener('resize', linkHints.hide)
+    window.addEventListener('mousedown', linkHints.hide, true)
+  },
+  hide: function () {
+    if (!linkHints.host) {
+      return
+    }
+    linkHints.host.remove()
+    linkHints.host = null
+    linkHints.hints = []
+
+    window.removeEventListener('keydown', linkHints.onKeyDown, true)
+    window.removeEventListener('scroll', linkHints.hide, true)
+    window.removeEventListener('resize', linkHints.hide)
+    window.removeEventListener('mousedown', linkHints.hide, true)
+  },
+  onKeyDown: function (e) {
+    e.preventDefault()
+    e.stopImmediatePropagation()
+
+    if (e.key === 'Escape') {
+      linkHints.hide()
+      return
+    }
+
+    if (e.key === 'Backspace') {
+      linkHints.update(linkHints.typed.slice(0, -1))
+      return
+    }
+
+    // e.code is used because modifiers change e.key
+    var letter = /^Key([A-Z])$/.exec(e.code)
+    if (!letter) {
+      return
+    }
+
+    var typed = linkHints.typed + letter[1].toLowerCase()
+    var match = linkHints.hints.find(hint => hint.label === typed)
+    if (match) {
+      linkHints.hide()
+      linkHints.follow(match.link, e.shiftKey ? 'child' : e.altKey ? 'sibling' : 'current')
+    } else if (linkHints.hints.some(hint => hint.label.startsWith(typed))) {
+      linkHints.update(typed)
+    }
+  },
+  // Show only the hints that start with what has been typed so far
+  update: function (typed) {
+    linkHints.typed = typed
+    linkHints.hints.forEach(function (hint) {
+      var matches = hint.label.startsWith(typed)
+      hint.element.hidden = !matches
+      if (matches) {
+        var typedPart = document.createElement('span')
+        typedPart.className = 'typed'
+        typedPart.textContent = typed
+        hint.element.textContent = ''
+        hint.element.appendChild(typedPart)
+        hint.element.appendChild(document.createTextNode(hint.label.substring(typed.length)))
+      }
+    })
+  },
+  // file: links can only be followed from pages that are themselves local files
+  canFollow: function (url) {
+    return ['http:', 'https:'].includes(url.protocol) || (url.protocol === 'file:' && window.location.protocol === 'file:')
+  },
+  follow: function (link, mode) {
+    var url
+    try {
+      url = new URL(link.href)
+    } catch (e) {}
+
+    if (mode !== 'current' && url && linkHints.canFollow(url)) {
+      ipc.send('openLinkHint', { url: url.toString(), asSibling: mode === 'sibling' })
+      return
+    }
+
+    // links that open a new window are loaded in the current tab instead, since that's what was asked for
+    if (url && linkHints.canFollow(url) && link.target && link.target !== '_self') {
+      window.location.href = url.toString()
+    } else {
+      link.focus()
+      link.click()
+    }
+  }
+}
+
+ipc.on('showLinkHints', function () {
+  if (linkHints.host) {
+    linkHints.hide()
+  } else {
+    linkHints.show()
+  }
+})
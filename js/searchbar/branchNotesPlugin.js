@@ -0,0 +1,35 @@
+var searchbarPlugins = require('searchbar/searchbarPlugins.js')
+
+var branchSearch = require('branches/branchSearch.js')
+var branchLabels = require('branches/branchLabels.js')
+
+function showBranchNoteResults (text) {
+  searchbarPlugins.reset('branchNotes')
+
+  branchSearch.searchNotes(text).slice(0, 3).forEach(function (result) {
+    var branch = result.branch
+    var colorValue = branchLabels.getColorValue(branch.color)
+
+    searchbarPlugins.addResult('branchNotes', {
+      title: branch.label || branch.title || branch.url,
+      secondaryText: branch.note || branch.title,
+      icon: colorValue ? null : 'carbon:notebook',
+      colorCircle: colorValue,
+      click: function () {
+        require('branches/branchPanel.js').handleBranchClick(branch)
+      }
+    })
+  })
+}
+
+function initialize () {
+  searchbarPlugins.register('branchNotes', {
+    index: 2,
+    trigger: function (text) {
+      return !!text && text.indexOf('!') !== 0
+    },
+    showResults: showBranchNoteResults
+  })
+}
+
+module.exports = { initialize }
@@ -13,6 +13,8 @@ const places = require('places/places.js')
 const contentBlockingToggle = require('navbar/contentBlockingToggle.js')
 const taskOverlay = require('taskOverlay/taskOverlay.js')
 const bookmarkConverter = require('bookmarkConverter.js')
+const branchExport = require('branches/branchExport.js')
+const branchRepair = require('branches/branchRepair.js')
 const searchbarPlugins = require('searchbar/searchbarPlugins.js')
 const tabEditor = require('navbar/tabEditor.js')
 const formatRelativeDate = require('util/relativeDate.js')
@@ -360,6 +362,76 @@ function initialize () {
     }
   })
 
+  bangsPlugin.registerCustomBang({
+    phrase: '!importtrail',
+    snippet: l('importBranchTrail'),
+    icon: 'carbon:upload',
+    isAction: true,
+    fn: async function () {
+      try {
+        await branchExport.importFromFile()
+      } catch (e) {
+        console.warn(e)
+        alert(l('importBranchTrailError') + '\n' + e.message)
+      }
+    }
+  })
+
+  bangsPlugin.registerCustomBang({
+    phrase: '!exporttrail',
+    snippet: l('exportBranchTrail'),
+    icon: 'carbon:download',
+    isAction: true,
+    fn: function () {
+      const tab = tabs.get(tabs.getSelected())
+      if (tab && tab.branchId) {
+        branchExport.exportToFile(tab.branchId)
+      }
+    }
+  })
+
+  bangsPlugin.registerCustomBang({
+    phrase: '!repairbranches',
+    snippet: l('repairBranches'),
+    icon: 'carbon:tree-view-alt',
+    isAction: true,
+    showSuggestions: function (text, input, event) {
+      searchbarPlugins.reset('bangs')
+
+      // show what the last repair changed
+      const report = branchRepair.getLastReport()
+      if (!report) {
+        searchbarPlugins.addResult('bangs', {
+          title: l('branchRepairNothing')
+        })
+        return
+      }
+
+      const sections = [
+        [l('branchRepairRestored'), report.restoredFromSession],
+        [l('branchRepairRelinked'), report.relinkedById.concat(report.relinkedByUrl)],
+        [l('branchRepairReparented'), report.reparented],
+        [l('branchRepairArchived'), report.archived],
+        [l('branchRepairNewBranches'), report.unlinkedTabs]
+      ]
+
+      sections.forEach(function ([title, items]) {
+        if (items.length > 0) {
+          searchbarPlugins.addResult('bangs', {
+            title: title + ' (' + items.length + ')',
+            secondaryText: items.join(', '),
+            metadata: [formatRelativeDate(report.time)]
+          })
+        }
+      })
+    },
+    fn: function () {
+      branchRepair.repair().then(function () {
+        require('branches/branchPanel.js').render()
+      })
+    }
+  })
+
   bangsPlugin.registerCustomBang({
     phrase: '!addbookmark',
     snippet: l('addBookmark'),
@@ -7,9 +7,24 @@ var taskOverlay = require('taskOverlay/taskOverlay.js')
 const writeFileAtomic = require('write-file-atomic')
 const statistics = require('js/statistics.js')
 
+// Branches are saved with the tabs so the tree can be repaired if IndexedDB and the session disagree
+// branchState is loaded lazily so a branch error can't stop tabs from being restored (see DEBUG_WHITE_SCREEN.md)
+// Branches of private tabs are left out, like the tabs themselves
+function getBranchSnapshot () {
+  try {
+    var branchState = require('branches/branchState.js')
+    var branches = branchState.getAll().filter(branch => !branchState.isPrivateBranch(branch))
+    return branches.length > 0 ? branches : null
+  } catch (e) {
+    console.warn('[SessionRestore] Failed to read branches:', e)
+    return null
+  }
+}
+
 const sessionRestore = {
   savePath: window.globalArgs['user-data-path'] + (platformType === 'windows' ? '\\sessionRestore.json' : '/sessionRestore.json'),
   previousState: null,
+  savedBranches: null, // branch snapshot from the restored session file, used by branchRepair.js
   save: function (forceSave, sync) {
     //only one window (the focused one) should be responsible for saving session restore data
     if (!document.body.classList.contains('focused')) {
@@ -17,11 +32,16 @@ const sessionRestore = {
     }
 
     var stateString = JSON.stringify(tasks.getStringifyableState())
+    var branches = getBranchSnapshot()
     var data = {
       version: 2,
       state: JSON.parse(stateString),
       saveTime: Date.now()
     }
+    if (branches) {
+      data.branches = branches
+      stateString += JSON.stringify(branches)
+    }
 
     // save all tabs that aren't private
 
@@ -98,6 +118,7 @@ const sessionRestore = {
       }
 
       var data = JSON.parse(savedStringData)
+      sessionRestore.savedBranches = data.branches || null
 
       // the data isn't restorable
       if ((data.version && data.version !== 2) || (data.state && data.state.tasks && data.state.tasks.length === 0)) {
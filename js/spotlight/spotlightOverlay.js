@@ -147,14 +147,7 @@ var spotlightOverlay = {
 
     // Get current branch's parent to create sibling
     if (bs && currentTabId) {
-      var currentBranch = bs.getByTabId(currentTabId)
-      if (currentBranch && currentBranch.parentId) {
-        // Use the same parent as current branch (sibling)
-        parentBranchId = currentBranch.parentId
-      } else {
-        // If no parent (root level), use root as parent
-        parentBranchId = bs.getRootBranchId ? bs.getRootBranchId() : null
-      }
+      parentBranchId = bs.getSiblingParentId(currentTabId)
     }
 
     var newTabId = t.add({
@@ -0,0 +1,16 @@
+// Removes tracking parameters from links before they're copied, if the cleanCopiedLinks setting is enabled
+// The parameters are removed by main/filtering.js, using the same rules as content blocking
+
+var settings = require('util/settings/settings.js')
+
+function cleanLink (url) {
+  if (!settings.get('cleanCopiedLinks') || !/^https?:\/\//i.test(url)) {
+    return Promise.resolve(url)
+  }
+  return ipc.invoke('removeTrackingParams', url).catch(function (e) {
+    console.warn('[CleanLink] Failed to remove tracking parameters', e)
+    return url
+  })
+}
+
+module.exports = cleanLink
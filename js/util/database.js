@@ -36,11 +36,30 @@ db.version(2).stores({
   title - page title
   createdAt - timestamp when branch was created
   lastActiveAt - timestamp of last activity (for sleep system)
-  state - 'awake' or 'sleeping'
+  state - 'awake', 'sleeping', 'closed' (closed branches are kept for restoring until purged) or 'dormant' (no tab, kept until deleted)
+  order - position among siblings, set when the branch is moved in the sidebar
+  forkedFrom - for branches created from discarded forward history, the branch they were forked from
+  label, color, note - set by the user to remember why the branch was opened
+  labelInherit - whether the label and color also apply to descendants
   */
   branches: '&id, tabId, parentId, url, title, createdAt, lastActiveAt, state'
 })
 
+// Branch Browser: Add a queue for activity events waiting to be sent to Punk Records
+db.version(3).stores({
+  places: '++id, &url, title, color, visitCount, lastVisit, pageHTML, extractedText, *searchIndex, isBookmarked, *tags, metadata',
+  readingList: 'url, time, visitCount, pageHTML, article, extraData',
+  branches: '&id, tabId, parentId, url, title, createdAt, lastActiveAt, state',
+  /*
+  eventQueue - activity events not yet accepted by the Punk Records endpoint (see punkRecords.js)
+  type - 'branch-created', 'branch-navigated', 'branch-closed' or 'branch-selected'
+  timestamp - when the event happened
+  attempts - how many times sending the event has failed
+  nextAttemptAt - the earliest time the event should be sent again
+  */
+  eventQueue: '++id, type, timestamp, nextAttemptAt'
+})
+
 // Branch Browser: Export promise so other modules can wait for DB to be ready
 var dbReady = db.open().then(function () {
   console.log('database opened ', performance.now())
@@ -35,7 +35,15 @@ var defaultKeyMap = {
   followLink: 'mod+enter',
   fillPassword: 'mod+\\',
   toggleTabAudio: 'shift+mod+m',
-  showHistory: 'shift+mod+h'
+  showHistory: 'shift+mod+h',
+  showDownloads: 'shift+mod+j',
+  showLinkHints: 'shift+mod+l',
+  goToParentBranch: 'option+mod+up',
+  goToFirstChildBranch: 'option+mod+down',
+  goToPreviousSiblingBranch: 'option+mod+[',
+  goToNextSiblingBranch: 'option+mod+]',
+  toggleBranchCollapse: 'option+mod+enter',
+  closeBranchWithChildren: 'shift+option+mod+w'
 }
 /* Utility function to override default mapping with user settings */
 function userKeyMap (settings) {
@@ -51,6 +59,129 @@ function userKeyMap (settings) {
   return keyMapCopy
 }
 
+/*
+Shortcuts that can't be changed, with the localization key of what they do.
+Most are menu accelerators (main/menu.js), which take the key before the browser sees it;
+the others are registered with fixed keys in defaultKeybindings.js.
+*/
+var reservedKeyMap = {
+  'mod+,': 'appMenuPreferences',
+  'mod+s': 'appMenuSavePageAs',
+  'mod+p': 'appMenuPrint',
+  'mod+z': 'appMenuUndo',
+  'shift+mod+z': 'appMenuRedo',
+  'mod+x': 'appMenuCut',
+  'mod+c': 'appMenuCopy',
+  'mod+v': 'appMenuPaste',
+  'shift+mod+v': 'appMenuPasteAndMatchStyle',
+  'mod+a': 'appMenuSelectAll',
+  'mod+f': 'appMenuFind',
+  'mod+=': 'appMenuZoomIn',
+  'mod+numadd': 'appMenuZoomIn',
+  'mod+-': 'appMenuZoomOut',
+  'mod+numsub': 'appMenuZoomOut',
+  'mod+0': 'appMenuActualSize',
+  f12: 'appMenuInspectPage',
+  esc: 'settingsKeyboardShortcutsEscape'
+}
+
+// menu accelerators that are different on macOS
+var macReservedKeyMap = {
+  'mod+h': 'settingsKeyboardShortcutsHide',
+  'option+mod+h': 'appMenuHideOthers',
+  'mod+m': 'appMenuMinimize',
+  'ctrl+mod+f': 'appMenuFullScreen',
+  'option+mod+i': 'appMenuInspectPage'
+}
+
+var otherReservedKeyMap = {
+  f11: 'appMenuFullScreen',
+  'shift+mod+i': 'appMenuInspectPage'
+}
+
+for (var reservedIndex = 1; reservedIndex < 10; reservedIndex++) {
+  if (reservedIndex < 9) {
+    reservedKeyMap['mod+' + reservedIndex] = 'settingsKeyboardShortcutsGoToTab'
+  }
+  reservedKeyMap['shift+option+mod+' + reservedIndex] = 'settingsKeyboardShortcutsGoToTask'
+}
+
+/* Returns the reserved shortcuts for a platform */
+function getReservedKeyMap (isMac) {
+  return Object.assign({}, reservedKeyMap, isMac ? macReservedKeyMap : otherReservedKeyMap)
+}
+
+// Actions that run in different places, so they can share a shortcut
+var sharedKeyMapActions = [
+  ['completeSearchbar', 'followLink']
+]
+
+/*
+Put a shortcut in a standard form so that equivalent shortcuts can be compared:
+modifiers in a fixed order, and "alt" and the platform's mod key written the same way
+*/
+function normalizeKeyCombo (combo, isMac) {
+  var modifierOrder = ['shift', 'option', 'ctrl', 'mod', 'super']
+
+  var keys = combo.toLowerCase().split('+').map(function (key) {
+    key = key.trim()
+    if (key === 'alt') {
+      return 'option'
+    }
+    if ((isMac && (key === 'super' || key === 'command' || key === 'cmd')) || (!isMac && (key === 'ctrl' || key === 'control'))) {
+      return 'mod'
+    }
+    return key
+  })
+
+  var modifiers = modifierOrder.filter(modifier => keys.includes(modifier))
+  var otherKeys = keys.filter(key => !modifierOrder.includes(key))
+
+  return modifiers.concat(otherKeys).join('+')
+}
+
+function getKeyMapBindings (value) {
+  if (!value) {
+    return []
+  }
+  return value instanceof Array ? value : [value]
+}
+
+/* Returns the localization key of the reserved shortcut that matches a combo, or null */
+function getReservedKeyCombo (combo, action, isMac) {
+  combo = normalizeKeyCombo(combo, isMac)
+
+  // defaultKeybindings.js doesn't register mod+1 if it's used to switch to the next tab
+  if (action === 'switchToNextTab' && combo === 'mod+1') {
+    return null
+  }
+
+  var platformReservedKeyMap = getReservedKeyMap(isMac)
+  for (var reservedCombo in platformReservedKeyMap) {
+    if (normalizeKeyCombo(reservedCombo, isMac) === combo) {
+      return platformReservedKeyMap[reservedCombo]
+    }
+  }
+  return null
+}
+
+/* Returns the other actions in a keymap that use a combo */
+function getKeyComboConflicts (keyMap, combo, action, isMac) {
+  combo = normalizeKeyCombo(combo, isMac)
+
+  return Object.keys(keyMap).filter(function (otherAction) {
+    if (otherAction === action) {
+      return false
+    }
+    if (sharedKeyMapActions.some(group => group.includes(action) && group.includes(otherAction))) {
+      return false
+    }
+    return getKeyMapBindings(keyMap[otherAction]).some(function (otherCombo) {
+      return normalizeKeyCombo(otherCombo, isMac) === combo
+    })
+  })
+}
+
 if (typeof module !== 'undefined') {
-  module.exports = { defaultKeyMap, userKeyMap }
+  module.exports = { defaultKeyMap, userKeyMap, reservedKeyMap, getReservedKeyMap, normalizeKeyCombo, getKeyMapBindings, getReservedKeyCombo, getKeyComboConflicts }
 }
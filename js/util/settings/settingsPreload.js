@@ -10,6 +10,18 @@ window.addEventListener('message', function (e) {
   if (e.data && e.data.message && e.data.message === 'setSetting') {
     ipc.send('setSetting', { key: e.data.key, value: e.data.value })
   }
+
+  if (e.data && e.data.message && e.data.message === 'pauseShortcuts') {
+    ipc.send('pauseShortcuts', { paused: e.data.paused })
+  }
+
+  if (e.data && e.data.message && e.data.message === 'updateFilterLists') {
+    ipc.send('updateFilterLists')
+  }
+
+  if (e.data && e.data.message && e.data.message === 'allowInsecureSite') {
+    ipc.send('allowInsecureSite', { url: e.data.url })
+  }
 })
 
 ipc.on('receiveSettingsData', function (e, data) {
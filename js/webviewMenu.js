@@ -6,6 +6,7 @@ const searchEngine = require('util/searchEngine.js')
 const userscripts = require('userscripts.js')
 const settings = require('util/settings/settings.js')
 const pageTranslations = require('pageTranslations.js')
+const cleanLink = require('util/cleanLink.js')
 const PasswordManagers = require('passwordManager/passwordManager.js')
 
 const remoteMenu = require('remoteMenuRenderer.js')
@@ -228,7 +229,9 @@ const webviewMenu = {
         clipboardActions.push({
           label: l('copyLink'),
           click: function () {
-            clipboard.writeText(link || mediaURL)
+            cleanLink(link || mediaURL).then(function (url) {
+              clipboard.writeText(url)
+            })
           }
         })
       }
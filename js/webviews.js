@@ -1,5 +1,6 @@
 var urlParser = require('util/urlParser.js')
 var settings = require('util/settings/settings.js')
+var focusSession = require('focusSession.js')
 
 /* implements selecting webviews, switching between them, and creating new ones. */
 
@@ -108,7 +109,8 @@ const webviews = {
   placeholderRequests: [],
   asyncCallbacks: {},
   internalPages: {
-    error: 'useful://app/pages/error/index.html'
+    error: 'useful://app/pages/error/index.html',
+    httpsOnly: 'useful://app/pages/httpsOnly/index.html'
   },
   events: [],
   IPCEvents: [],
@@ -440,7 +442,25 @@ webviews.bindEvent('page-title-updated', function (tabId, title, explicitSet) {
 
 webviews.bindEvent('did-fail-load', function (tabId, errorCode, errorDesc, validatedURL, isMainFrame) {
   if (errorCode && errorCode !== -3 && isMainFrame && validatedURL) {
-    webviews.update(tabId, webviews.internalPages.error + '?ec=' + encodeURIComponent(errorCode) + '&url=' + encodeURIComponent(validatedURL))
+    // -20 is ERR_BLOCKED_BY_CLIENT, which is also what the focus session blocklist causes
+    if (errorCode === -20 && focusSession.isBlocked(validatedURL)) {
+      errorCode = 'focusBlocked'
+    }
+
+    var errorPage = webviews.internalPages.error + '?ec=' + encodeURIComponent(errorCode) + '&url=' + encodeURIComponent(validatedURL)
+
+    if (settings.get('httpsOnly') === true && errorCode !== 'focusBlocked' && /^https?:\/\//.test(validatedURL)) {
+      // pages that couldn't be loaded after being upgraded to HTTPS show the HTTPS-only page instead, which can load them over HTTP
+      ipc.invoke('getFailedHTTPSUpgrade', validatedURL).then(function (originalURL) {
+        if (originalURL) {
+          webviews.update(tabId, webviews.internalPages.httpsOnly + '?url=' + encodeURIComponent(originalURL))
+        } else {
+          webviews.update(tabId, errorPage)
+        }
+      })
+    } else {
+      webviews.update(tabId, errorPage)
+    }
   }
 })
 
@@ -472,6 +492,25 @@ webviews.bindIPC('setSetting', function (tabId, args) {
   }
   settings.set(args[0].key, args[0].value)
 })
+webviews.bindIPC('updateFilterLists', function (tabId) {
+  if (!urlParser.isInternalURL(tabs.get(tabId).url)) {
+    throw new Error()
+  }
+  ipc.send('reloadFilterLists')
+})
+
+webviews.bindIPC('allowInsecureSite', function (tabId, args) {
+  if (!tabs.get(tabId).url.startsWith(webviews.internalPages.httpsOnly)) {
+    throw new Error()
+  }
+  var url = args[0] && args[0].url
+  // the exception has to be saved before the page is loaded, or it would be upgraded again
+  ipc.invoke('addHTTPSOnlyException', url).then(function (added) {
+    if (added) {
+      webviews.update(tabId, url)
+    }
+  })
+})
 
 settings.listen(function () {
   tasks.forEach(function (task) {
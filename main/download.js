@@ -1,30 +1,243 @@
 const currrentDownloadItems = {}
 
+/*
+Downloads are kept in downloadHistory.json in the user data directory, oldest first:
+{ id, url, urlChain, pageURL, path, name, mimeType, size: { received, total }, state, startTime, endTime, branchId, eTag, lastModified }
+state is 'progressing', 'completed', 'cancelled' or 'interrupted'.
+Downloads from private tabs aren't saved.
+*/
+const downloadHistoryPath = path.join(userDataPath, 'downloadHistory.json')
+const maxDownloadHistoryEntries = 1000
+
+var downloadHistory = []
+
+try {
+  downloadHistory = JSON.parse(fs.readFileSync(downloadHistoryPath, 'utf-8'))
+} catch (e) {
+  if (e.code !== 'ENOENT') {
+    console.warn('failed to read download history', e)
+  }
+}
+
+// downloads that were still running when the browser was closed can be resumed
+downloadHistory.forEach(function (entry) {
+  if (entry.state === 'progressing') {
+    entry.state = 'interrupted'
+  }
+})
+
+var nextDownloadId = downloadHistory.reduce((max, entry) => Math.max(max, entry.id), 0) + 1
+
+// download items from this session by history ID, used to resume them
+const downloadItemsById = {}
+
+// history entries by save path, for downloads that are being resumed from a previous session
+const resumingDownloads = {}
+
+// whether the files of completed downloads were there when they were last checked, by history ID
+const downloadFileExists = {}
+
+var downloadHistorySaveTimeout = null
+
+// progress updates are frequent, so saving and notifying windows is batched
+function saveDownloadHistory () {
+  if (downloadHistorySaveTimeout) {
+    return
+  }
+  downloadHistorySaveTimeout = setTimeout(function () {
+    downloadHistorySaveTimeout = null
+    writeDownloadHistory()
+    windows.getAll().forEach(win => sendIPCToWindow(win, 'downloadHistoryUpdated'))
+  }, 500)
+}
+
+function writeDownloadHistory (sync) {
+  downloadHistory = downloadHistory.slice(-maxDownloadHistoryEntries)
+
+  if (sync) {
+    fs.writeFileSync(downloadHistoryPath, JSON.stringify(downloadHistory))
+    return
+  }
+
+  fs.writeFile(downloadHistoryPath, JSON.stringify(downloadHistory), function (err) {
+    if (err) {
+      console.warn('failed to save download history', err)
+    }
+  })
+}
+
+function getDownloadHistoryEntry (id) {
+  return downloadHistory.find(entry => entry.id === id)
+}
+
+function createDownloadHistoryEntry (item, webContents) {
+  var entry = {
+    id: nextDownloadId++,
+    url: item.getURL(),
+    urlChain: item.getURLChain(),
+    pageURL: webContents ? webContents.getURL() : '',
+    path: item.getSavePath(),
+    name: item.getFilename(),
+    mimeType: item.getMimeType(),
+    size: { received: 0, total: item.getTotalBytes() },
+    state: 'progressing',
+    startTime: Date.now(),
+    endTime: null,
+    branchId: null,
+    eTag: item.getETag(),
+    lastModified: item.getLastModifiedTime()
+  }
+
+  downloadHistory.push(entry)
+  saveDownloadHistory()
+  return entry
+}
+
+function updateDownloadHistoryEntry (entry, item, state) {
+  entry.path = item.getSavePath()
+  entry.name = path.basename(item.getSavePath()) || item.getFilename()
+  entry.size = { received: item.getReceivedBytes(), total: item.getTotalBytes() }
+  entry.state = state
+  entry.eTag = item.getETag()
+  entry.lastModified = item.getLastModifiedTime()
+
+  if (state !== 'progressing') {
+    entry.endTime = Date.now()
+  }
+
+  saveDownloadHistory()
+}
+
+function resumeDownload (id) {
+  var entry = getDownloadHistoryEntry(id)
+  if (!entry || entry.state !== 'interrupted') {
+    return
+  }
+
+  // downloads from this session can continue where they stopped
+  var item = downloadItemsById[id]
+  if (item && item.canResume()) {
+    item.resume()
+    return
+  }
+
+  // downloads from a previous session are resumed from the partial file, or started again if it's missing
+  var offset = 0
+  try {
+    offset = fs.statSync(entry.path).size
+  } catch (e) {}
+
+  resumingDownloads[entry.path] = entry
+  session.fromPartition('persist:webcontent').createInterruptedDownload({
+    path: entry.path,
+    urlChain: entry.urlChain && entry.urlChain.length > 0 ? entry.urlChain : [entry.url],
+    mimeType: entry.mimeType,
+    offset: offset,
+    length: entry.size.total,
+    lastModified: entry.lastModified,
+    eTag: entry.eTag,
+    startTime: entry.startTime / 1000
+  })
+}
+
 ipc.on('cancelDownload', function (e, path) {
   if (currrentDownloadItems[path]) {
     currrentDownloadItems[path].cancel()
   }
 })
 
+ipc.on('resumeDownload', function (e, id) {
+  resumeDownload(id)
+})
+
+ipc.on('setDownloadBranch', function (e, data) {
+  var entry = getDownloadHistoryEntry(data.id)
+  if (entry) {
+    entry.branchId = data.branchId
+    saveDownloadHistory()
+  }
+})
+
+ipc.on('removeDownloadHistoryEntry', function (e, id) {
+  var entry = getDownloadHistoryEntry(id)
+  if (entry && entry.state !== 'progressing') {
+    downloadHistory = downloadHistory.filter(other => other !== entry)
+    delete downloadItemsById[id]
+    saveDownloadHistory()
+  }
+})
+
+ipc.on('clearDownloadHistory', function () {
+  downloadHistory = downloadHistory.filter(entry => entry.state === 'progressing')
+  saveDownloadHistory()
+})
+
+// the file can be moved or deleted after the download finishes, so this is checked again when the downloads page asks for it
+function checkDownloadFiles () {
+  return Promise.all(downloadHistory.filter(entry => entry.state === 'completed').map(function (entry) {
+    return fs.promises.access(entry.path).then(() => true, () => false).then(function (exists) {
+      downloadFileExists[entry.id] = exists
+    })
+  }))
+}
+
+ipc.handle('getDownloadHistory', async function (e, options) {
+  if (options && options.checkFiles) {
+    await checkDownloadFiles()
+  }
+  return downloadHistory.map(entry => Object.assign({}, entry, {
+    exists: entry.state === 'completed' && downloadFileExists[entry.id] === true
+  }))
+})
+
+app.on('before-quit', function () {
+  if (downloadHistorySaveTimeout) {
+    clearTimeout(downloadHistorySaveTimeout)
+    downloadHistorySaveTimeout = null
+    try {
+      writeDownloadHistory(true)
+    } catch (e) {
+      console.warn('failed to save download history', e)
+    }
+  }
+})
+
 function isAttachment (header) {
   return /^\s*attache*?ment/i.test(header)
 }
 
 function downloadHandler (event, item, webContents) {
-  let sourceWindow = windows.windowFromContents(webContents)?.win
+  let sourceWindow = webContents ? windows.windowFromContents(webContents)?.win : null
   if (!sourceWindow) {
     sourceWindow = windows.getCurrent()
   }
 
   var savePathFilename
 
+  var historyEntry = resumingDownloads[item.getSavePath()]
+  if (historyEntry) {
+    delete resumingDownloads[item.getSavePath()]
+  } else if (webContents && webContents.session.isPersistent()) {
+    historyEntry = createDownloadHistoryEntry(item, webContents)
+  }
+
+  if (historyEntry) {
+    downloadItemsById[historyEntry.id] = item
+  }
+
+  function getDownloadInfo (state, size) {
+    return {
+      id: historyEntry ? historyEntry.id : null,
+      tabId: webContents ? getTabIDFromWebContents(webContents) : null,
+      path: item.getSavePath(),
+      name: savePathFilename || item.getFilename(),
+      status: state,
+      size: size
+    }
+  }
+
   // send info to download manager
-  sendIPCToWindow(sourceWindow, 'download-info', {
-    path: item.getSavePath(),
-    name: item.getFilename(),
-    status: 'progressing',
-    size: { received: 0, total: item.getTotalBytes() }
-  })
+  sendIPCToWindow(sourceWindow, 'download-info', getDownloadInfo('progressing', { received: item.getReceivedBytes(), total: item.getTotalBytes() }))
 
   item.on('updated', function (e, state) {
     if (!savePathFilename) {
@@ -35,23 +248,37 @@ function downloadHandler (event, item, webContents) {
       currrentDownloadItems[item.getSavePath()] = item
     }
 
-    sendIPCToWindow(sourceWindow, 'download-info', {
-      path: item.getSavePath(),
-      name: savePathFilename,
-      status: state,
-      size: { received: item.getReceivedBytes(), total: item.getTotalBytes() }
-    })
+    if (historyEntry) {
+      updateDownloadHistoryEntry(historyEntry, item, state)
+    }
+
+    sendIPCToWindow(sourceWindow, 'download-info', getDownloadInfo(state, { received: item.getReceivedBytes(), total: item.getTotalBytes() }))
   })
 
   item.once('done', function (e, state) {
     delete currrentDownloadItems[item.getSavePath()]
-    sendIPCToWindow(sourceWindow, 'download-info', {
-      path: item.getSavePath(),
-      name: savePathFilename,
-      status: state,
-      size: { received: item.getTotalBytes(), total: item.getTotalBytes() }
-    })
+
+    if (historyEntry) {
+      delete downloadItemsById[historyEntry.id]
+
+      if (item.getSavePath()) {
+        downloadFileExists[historyEntry.id] = state === 'completed'
+        updateDownloadHistoryEntry(historyEntry, item, state)
+      } else {
+        // the save dialog was cancelled, so nothing was downloaded
+        downloadHistory = downloadHistory.filter(entry => entry !== historyEntry)
+        saveDownloadHistory()
+      }
+    }
+
+    sendIPCToWindow(sourceWindow, 'download-info', getDownloadInfo(state, { received: item.getTotalBytes(), total: item.getTotalBytes() }))
   })
+
+  // downloads resumed from a previous session start out interrupted
+  if (historyEntry && historyEntry.state === 'interrupted' && item.getState() === 'interrupted') {
+    item.resume()
+  }
+
   return true
 }
 
@@ -0,0 +1,211 @@
+/* global AbortSignal */
+/*
+The filter lists used for content blocking (see filtering.js)
+The filterLists setting holds the lists in the order they're loaded. Besides the built-in lists, each list is a local file or a URL.
+Lists from URLs are cached in userData/filterLists, so that they still work offline, and are downloaded again once a day.
+After the lists are loaded, their rule counts and parse errors are saved to the filterListStatus setting for the settings page.
+*/
+
+const builtInFilterLists = {
+  easylist: {
+    name: 'EasyList + EasyPrivacy',
+    files: ['easylist+easyprivacy-noelementhiding.txt', 'easylist+easyprivacy-elementhiding.txt']
+  },
+  minFilters: {
+    name: 'Min',
+    files: ['minFilters.txt']
+  }
+}
+
+const filterListCacheDir = path.join(userDataPath, 'filterLists')
+const siteExceptionsPath = path.join(userDataPath, 'siteExceptions.txt')
+const filterListUpdateInterval = 24 * 60 * 60 * 1000
+// only the first few parse errors of each list are kept, since some lists have thousands of unsupported rules
+const maxFilterListErrors = 20
+
+function getDefaultFilterLists () {
+  var lists = Object.keys(builtInFilterLists).map(function (id) {
+    return { id: id, name: builtInFilterLists[id].name, builtIn: true, enabled: true }
+  })
+
+  // customFilters.txt was the only way to add filters before lists could be added in settings
+  var customFiltersPath = path.join(userDataPath, 'customFilters.txt')
+  if (fs.existsSync(customFiltersPath)) {
+    lists.push({ id: 'customFilters', name: 'customFilters.txt', source: customFiltersPath, enabled: true })
+  }
+
+  return lists
+}
+
+if (!settings.get('filterLists')) {
+  settings.set('filterLists', getDefaultFilterLists())
+}
+
+function getFilterLists () {
+  return settings.get('filterLists') || []
+}
+
+function isRemoteFilterList (list) {
+  return !list.builtIn && /^https?:\/\//i.test(list.source)
+}
+
+function getFilterListCachePath (list) {
+  return path.join(filterListCacheDir, list.id.replace(/[^a-zA-Z0-9-_]/g, '') + '.txt')
+}
+
+function readBuiltInFilterList (list) {
+  return Promise.all(builtInFilterLists[list.id].files.map(function (file) {
+    // the element hiding rules only exist once the lists have been updated
+    return fs.promises.readFile(path.join(__dirname, 'ext/filterLists', file), 'utf8').catch(() => '')
+  })).then(function (files) {
+    return { text: files.join('\n') }
+  })
+}
+
+function downloadFilterList (list) {
+  return app.whenReady().then(function () {
+    return net.fetch(list.source, { signal: AbortSignal.timeout(30000) })
+  }).then(function (response) {
+    if (!response.ok) {
+      throw new Error('HTTP ' + response.status)
+    }
+    return response.text()
+  }).then(function (text) {
+    // servers return an HTML page instead of the list for some errors
+    if (text.trimStart().startsWith('<')) {
+      throw new Error(l('settingsFilterListsNotAList'))
+    }
+
+    return fs.promises.mkdir(filterListCacheDir, { recursive: true }).then(function () {
+      return fs.promises.writeFile(getFilterListCachePath(list), text)
+    }).then(function () {
+      return { text: text, lastUpdated: Date.now() }
+    })
+  })
+}
+
+function readRemoteFilterList (list, forceUpdate) {
+  var cachePath = getFilterListCachePath(list)
+
+  return fs.promises.stat(cachePath).then(function (stats) {
+    var readCache = function (error) {
+      return fs.promises.readFile(cachePath, 'utf8').then(function (text) {
+        return { text: text, lastUpdated: stats.mtimeMs, downloadError: error && error.message }
+      })
+    }
+
+    if (forceUpdate || Date.now() - stats.mtimeMs > filterListUpdateInterval) {
+      // use the cached copy if the list can't be downloaded
+      return downloadFilterList(list).catch(readCache)
+    }
+    return readCache()
+  }, function () {
+    return downloadFilterList(list)
+  })
+}
+
+function readFilterList (list, forceUpdate) {
+  if (list.builtIn) {
+    if (!builtInFilterLists[list.id]) {
+      return Promise.reject(new Error('Unknown filter list: ' + list.id))
+    }
+    return readBuiltInFilterList(list)
+  }
+  if (isRemoteFilterList(list)) {
+    return readRemoteFilterList(list, forceUpdate)
+  }
+  var filePath = /^file:\/\//i.test(list.source) ? require('url').fileURLToPath(list.source) : list.source
+  return fs.promises.readFile(filePath, 'utf8').then(function (text) {
+    return { text: text }
+  })
+}
+
+// Remove the cached copies of lists that have been removed
+function removeUnusedFilterListCaches (lists) {
+  var cacheFiles = lists.filter(isRemoteFilterList).map(list => path.basename(getFilterListCachePath(list)))
+
+  fs.readdir(filterListCacheDir, function (err, files) {
+    if (err) {
+      return
+    }
+    files.filter(file => !cacheFiles.includes(file)).forEach(function (file) {
+      fs.unlink(path.join(filterListCacheDir, file), function () {})
+    })
+  })
+}
+
+var filterListLoadCount = 0
+
+/**
+ * Parses all enabled filter lists, in order
+ * @param forceUpdate download lists from URLs again, even if the cached copy is recent
+ * @param callback called with the parsed filter data, unless another load has started since
+ */
+function loadFilterLists (forceUpdate, callback) {
+  var loadId = ++filterListLoadCount
+  var lists = getFilterLists()
+  var data = {}
+  var status = {}
+
+  var loadList = function (list) {
+    return readFilterList(list, forceUpdate).then(function (result) {
+      var stats = { ruleCount: 0, errors: [] }
+
+      return new Promise(function (resolve) {
+        parser.parse(result.text, data, resolve, { stats: stats, list: list.id })
+      }).then(function () {
+        status[list.id] = {
+          ruleCount: stats.ruleCount,
+          errorCount: stats.errors.length,
+          errors: stats.errors.slice(0, maxFilterListErrors),
+          lastUpdated: result.lastUpdated,
+          // the list couldn't be downloaded, but there's a cached copy
+          downloadError: result.downloadError
+        }
+      })
+    }).catch(function (e) {
+      console.warn('[FilterLists] Failed to load ' + (list.source || list.id), e)
+      status[list.id] = { ruleCount: 0, errorCount: 0, errors: [], loadError: e.message }
+    })
+  }
+
+  lists.filter(list => list.enabled).reduce(function (previous, list) {
+    return previous.then(() => loadList(list))
+  }, Promise.resolve()).then(function () {
+    if (loadId !== filterListLoadCount) {
+      return
+    }
+    callback(data)
+    settings.set('filterListStatus', status)
+    removeUnusedFilterListCaches(lists)
+  })
+}
+
+function getFilterListName (id) {
+  var list = getFilterLists().find(list => list.id === id)
+  return list ? list.name : null
+}
+
+// Exceptions added from the list of blocked requests are saved to a local list, which can also be edited by hand
+function addSiteException (rule) {
+  return fs.promises.appendFile(siteExceptionsPath, rule + '\n').then(function () {
+    var lists = getFilterLists()
+    var siteExceptionsList = lists.find(list => list.id === 'siteExceptions')
+
+    if (!siteExceptionsList) {
+      settings.set('filterLists', lists.concat({ id: 'siteExceptions', name: l('filterListSiteExceptions'), source: siteExceptionsPath, enabled: true }))
+    } else if (!siteExceptionsList.enabled) {
+      settings.set('filterLists', lists.map(list => list === siteExceptionsList ? Object.assign({}, list, { enabled: true }) : list))
+    }
+  })
+}
+
+function filterListsNeedUpdate () {
+  return getFilterLists().some(function (list) {
+    if (!list.enabled || !isRemoteFilterList(list)) {
+      return false
+    }
+    var status = (settings.get('filterListStatus') || {})[list.id]
+    return !status || !status.lastUpdated || Date.now() - status.lastUpdated > filterListUpdateInterval
+  })
+}
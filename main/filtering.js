@@ -10,42 +10,8 @@ var enabledFilteringOptions = {
   exceptionDomains: []
 }
 
-const globalParamsToRemove = [
-  // microsoft
-  'msclkid',
-  // google
-  'gclid',
-  'dclid',
-  // facebook
-  'fbclid',
-  // yandex
-  'yclid',
-  '_openstat',
-  // adobe
-  'icid',
-  // instagram
-  'igshid',
-  // mailchimp
-  'mc_eid'
-]
-const siteParamsToRemove = {
-  'www.amazon.com': [
-    '_ref',
-    'ref_',
-    'pd_rd_r',
-    'pd_rd_w',
-    'pf_rd_i',
-    'pf_rd_m',
-    'pf_rd_p',
-    'pf_rd_r',
-    'pf_rd_s',
-    'pf_rd_t',
-    'pd_rd_wg'
-  ],
-  'www.ebay.com': [
-    '_trkparms'
-  ]
-}
+// domains blocked during the focus period of a focus session (see focusSession.js)
+var focusBlockedDomains = []
 
 // for tracking the number of blocked requests
 var unsavedBlockedRequests = 0
@@ -78,34 +44,16 @@ var electronABPElementTypeMap = {
 var parser = require('./ext/abp-filter-parser-modified/abp-filter-parser.js')
 var parsedFilterData = {}
 
-function initFilterList () {
-  // discard old data if the list is being re-initialized
-  parsedFilterData = {}
-
-  fs.readFile(path.join(__dirname, 'ext/filterLists/easylist+easyprivacy-noelementhiding.txt'),
-    'utf8', function (err, data) {
-      if (err) {
-        return
-      }
-      parser.parse(data, parsedFilterData)
-    }
-  )
+// the filter lists that were loaded last, to tell whether the lists need to be loaded again when the filterLists setting changes
+var loadedFilterLists = null
 
-  fs.readFile(path.join(__dirname, 'ext/filterLists/minFilters.txt'),
-    'utf8', function (err, data) {
-      if (err) {
-        return
-      }
-      parser.parse(data, parsedFilterData)
-    }
-  )
+function initFilterList (forceUpdate) {
+  loadedFilterLists = JSON.stringify(getFilterLists())
 
-  fs.readFile(path.join(app.getPath('userData'), 'customFilters.txt'),
-    'utf8', function (err, data) {
-      if (!err && data) {
-        parser.parse(data, parsedFilterData)
-      }
-    })
+  // the current filters keep being used until the new lists have finished loading
+  loadFilterLists(forceUpdate, function (data) {
+    parsedFilterData = data
+  })
 }
 
 function removeWWW (domain) {
@@ -123,6 +71,21 @@ function requestDomainIsException (domain) {
   return enabledFilteringOptions.exceptionDomains.includes(removeWWW(domain))
 }
 
+function setFocusBlocklist (domains) {
+  focusBlockedDomains = domains.map(function (domain) {
+    // accept pasted URLs as well as domains
+    return removeWWW(domain.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split('/')[0])
+  }).filter(Boolean)
+}
+
+function isFocusBlocked (url) {
+  if (focusBlockedDomains.length === 0 || !/^https?:\/\//i.test(url)) {
+    return false
+  }
+  var host = removeWWW(parser.getUrlHost(url).toLowerCase())
+  return focusBlockedDomains.some(domain => host === domain || host.endsWith('.' + domain))
+}
+
 function filterPopups (url) {
   if (!/^https?:\/\//i.test(url)) {
     return true
@@ -144,23 +107,114 @@ function filterPopups (url) {
   return true
 }
 
+// the default tracking parameter rules are loaded whether or not content blocking is on, so that copied links can always be cleaned
+var defaultParamFilters = {}
+
+fs.readFile(path.join(__dirname, 'ext/filterLists/trackingParams.txt'), 'utf8', function (err, data) {
+  if (err) {
+    console.warn('[Filtering] Failed to load tracking parameter rules', err)
+    return
+  }
+  parser.parse(data, defaultParamFilters, null, { async: false })
+})
+
+// tracking parameter rules from the trackingParamRules setting, which are used in addition to the $removeparam filters in the filter lists
+var userParamFilters = {}
+
+function setTrackingParamRules (rules) {
+  userParamFilters = {}
+  // rules can also be plain parameter names, like "utm_*"
+  var filters = (rules || []).map(rule => rule.trim()).filter(Boolean).map(function (rule) {
+    return rule.includes('removeparam') || rule.startsWith('!') ? rule : '$removeparam=' + rule
+  })
+  parser.parse(filters.join('\n'), userParamFilters, null, { async: false })
+}
+
 function removeTrackingParams (url) {
   try {
-    var urlObj = new URL(url)
-    for (const param of urlObj.searchParams) {
-      if (globalParamsToRemove.includes(param[0]) ||
-        (siteParamsToRemove[urlObj.hostname] &&
-          siteParamsToRemove[urlObj.hostname].includes(param[0]))) {
-        urlObj.searchParams.delete(param[0])
-      }
-    }
-    return urlObj.toString()
+    return parser.removeParams([parsedFilterData, defaultParamFilters, userParamFilters], url)
   } catch (e) {
     console.warn(e)
     return url
   }
 }
 
+function hasElementHidingException (url, domain, type) {
+  return parsedFilterData.initialized && parser.matchesFilters(parsedFilterData.exceptionFilters, url.toLowerCase(), {
+    domain: domain,
+    elementType: type
+  })
+}
+
+// Get the element hiding selectors for a frame. pageURL is the URL of the tab the frame is in.
+function getCosmeticSelectors (frameURL, pageURL) {
+  if (enabledFilteringOptions.blockingLevel === 0 || !/^https?:\/\//i.test(frameURL)) {
+    return []
+  }
+
+  if (requestDomainIsException(parser.getUrlHost(pageURL))) {
+    return []
+  }
+
+  var domain = parser.getUrlHost(frameURL)
+  if (hasElementHidingException(frameURL, domain, 'elemhide')) {
+    return []
+  }
+
+  return parser.getCosmeticSelectors(parsedFilterData, domain, !hasElementHidingException(frameURL, domain, 'generichide'))
+}
+
+/*
+Blocked requests are logged for each tab, so that the content blocking menu can show what was blocked on a page (see js/blockedRequestLog.js)
+They're sent to the windows in batches, since some pages have hundreds of blocked requests
+*/
+var pendingBlockedRequests = {}
+var blockedRequestsTimeout = null
+
+function sendBlockedRequests () {
+  var requests = pendingBlockedRequests
+  pendingBlockedRequests = {}
+  blockedRequestsTimeout = null
+
+  windows.getAll().forEach(win => sendIPCToWindow(win, 'blockedRequests', requests))
+}
+
+/**
+ * @param entry.reason 'filter', 'contentType', or 'trackingParams'
+ */
+function logBlockedRequest (details, entry) {
+  if (!details.webContentsId) {
+    return
+  }
+  var contents = webContents.fromId(details.webContentsId)
+  var tabId = contents && getTabIDFromWebContents(contents)
+  if (!tabId) {
+    return
+  }
+
+  if (!pendingBlockedRequests[tabId]) {
+    pendingBlockedRequests[tabId] = []
+  }
+  pendingBlockedRequests[tabId].push(Object.assign({
+    url: details.url,
+    resourceType: details.resourceType,
+    time: Date.now()
+  }, entry))
+
+  if (!blockedRequestsTimeout) {
+    blockedRequestsTimeout = setTimeout(sendBlockedRequests, 500)
+  }
+}
+
+function getRemovedParams (url, modifiedURL) {
+  try {
+    var remainingParams = Array.from(new URL(modifiedURL).searchParams.keys())
+    return Array.from(new URL(url).searchParams.keys()).filter(param => !remainingParams.includes(param))
+  } catch (e) {
+    return []
+  }
+}
+
 function handleRequest (details, callback) {
   /* eslint-disable standard/no-callback-literal */
 
@@ -170,10 +224,34 @@ function handleRequest (details, callback) {
     domain = parser.getUrlHost(webContents.fromId(details.webContentsId).getURL())
   }
 
+  // pages on the focus blocklist can't be opened until the next break
+  if ((details.resourceType === 'mainFrame' || details.resourceType === 'subFrame') && isFocusBlocked(details.url)) {
+    callback({
+      cancel: true,
+      requestHeaders: details.requestHeaders
+    })
+    return
+  }
+
+  // in HTTPS-only mode, the request is made again over HTTPS, and filtered then
+  const httpsUpgradeURL = getHTTPSUpgradeURL(details, details.resourceType === 'mainFrame' ? null : domain)
+  if (httpsUpgradeURL) {
+    callback({
+      cancel: false,
+      requestHeaders: details.requestHeaders,
+      redirectURL: httpsUpgradeURL
+    })
+    return
+  }
+
   const isExceptionDomain = domain && requestDomainIsException(domain)
 
   const modifiedURL = (enabledFilteringOptions.blockingLevel > 0 && !isExceptionDomain) ? removeTrackingParams(details.url) : details.url
 
+  if (modifiedURL !== details.url) {
+    logBlockedRequest(details, { reason: 'trackingParams', params: getRemovedParams(details.url, modifiedURL) })
+  }
+
   if (!(details.url.startsWith('http://') || details.url.startsWith('https://')) || details.resourceType === 'mainFrame') {
     callback({
       cancel: false,
@@ -188,6 +266,8 @@ function handleRequest (details, callback) {
   if (enabledFilteringOptions.contentTypes.length > 0) {
     for (var i = 0; i < enabledFilteringOptions.contentTypes.length; i++) {
       if (details.resourceType === enabledFilteringOptions.contentTypes[i]) {
+        logBlockedRequest(details, { reason: 'contentType' })
+
         callback({
           cancel: true,
           requestHeaders: details.requestHeaders
@@ -203,12 +283,13 @@ function handleRequest (details, callback) {
       (enabledFilteringOptions.blockingLevel === 2)
     ) {
       // by doing this check second, we can skip checking same-origin requests if only third-party blocking is enabled
-      var matchesFilters = parser.matches(parsedFilterData, details.url, {
+      var matchingFilter = parser.getMatchingFilter(parsedFilterData, details.url, {
         domain: domain,
         elementType: electronABPElementTypeMap[details.resourceType]
       })
-      if (matchesFilters) {
+      if (matchingFilter) {
         unsavedBlockedRequests++
+        logBlockedRequest(details, { reason: 'filter', rule: matchingFilter.rule, list: getFilterListName(matchingFilter.list) })
 
         callback({
           cancel: true,
@@ -257,6 +338,46 @@ app.once('ready', function () {
 
 app.on('session-created', registerFiltering)
 
+ipc.on('reloadFilterLists', function () {
+  if (enabledFilteringOptions.blockingLevel > 0) {
+    initFilterList(true)
+  }
+})
+
+// lists from URLs are downloaded again once a day
+setInterval(function () {
+  if (enabledFilteringOptions.blockingLevel > 0 && filterListsNeedUpdate()) {
+    initFilterList()
+  }
+}, 60 * 60 * 1000)
+
+/*
+Stops a filter rule from blocking requests on a site, or if there's no rule, stops requests to a domain from being blocked on the site
+data is { site, domain, rule }
+*/
+ipc.handle('addSiteException', function (e, data) {
+  var isDomain = d => typeof d === 'string' && /^[a-z0-9.-]+$/i.test(d)
+  if (!isDomain(data.site) || !(isDomain(data.domain) || (typeof data.rule === 'string' && !/[\r\n]/.test(data.rule)))) {
+    throw new Error('invalid site exception')
+  }
+
+  var site = removeWWW(data.site)
+  var exception = data.rule ? parser.createSiteException(data.rule, site) : '@@||' + data.domain + '^$domain=' + site
+
+  // the exception is added to the current filters right away, so that the page can be reloaded without waiting for the lists to load again
+  parser.parse(exception, parsedFilterData, null, { async: false })
+  return addSiteException(exception)
+})
+
+// used to remove tracking parameters from copied links
+ipc.handle('removeTrackingParams', function (e, url) {
+  return /^https?:\/\//i.test(url) ? removeTrackingParams(url) : url
+})
+
+ipc.handle('getCosmeticFilters', function (e, frameURL) {
+  return getCosmeticSelectors(frameURL, e.sender.getURL())
+})
+
 settings.listen('filtering', function (value) {
   // migrate from old settings (<v1.9.0)
   if (value && typeof value.trackers === 'boolean') {
@@ -271,3 +392,11 @@ settings.listen('filtering', function (value) {
 
   setFilteringSettings(value)
 })
+
+settings.listen('filterLists', function () {
+  if (enabledFilteringOptions.blockingLevel > 0 && JSON.stringify(getFilterLists()) !== loadedFilterLists) {
+    initFilterList()
+  }
+})
+
+settings.listen('trackingParamRules', setTrackingParamRules)
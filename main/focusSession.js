@@ -0,0 +1,168 @@
+/*
+Timed focus sessions: alternates focus and break periods for a number of rounds.
+During focus periods, the domains in the focusSessions.blocklist setting are blocked (see filtering.js).
+The timer runs here so that every window shows the same session.
+*/
+
+const defaultFocusSessionSettings = {
+  workMinutes: 25,
+  breakMinutes: 5,
+  rounds: 4,
+  blocklist: []
+}
+
+const focusSessionLogPath = path.join(userDataPath, 'focusSessionLog.json')
+const maxFocusSessionLogEntries = 1000
+
+var focusSession = {
+  state: 'idle', // 'idle', 'focus' or 'break'
+  round: 0,
+  rounds: 0,
+  periodStartedAt: null,
+  endsAt: null,
+  completedToday: 0
+}
+
+var focusSessionTimer = null
+
+// completed focus periods, oldest first
+var focusSessionLog = []
+
+try {
+  focusSessionLog = JSON.parse(fs.readFileSync(focusSessionLogPath, 'utf-8'))
+} catch (e) {
+  if (e.code !== 'ENOENT') {
+    console.warn('failed to read focus session log', e)
+  }
+}
+
+function getFocusSessionSettings () {
+  var saved = settings.get('focusSessions') || {}
+  var result = {}
+  for (var key in defaultFocusSessionSettings) {
+    var isValid = typeof defaultFocusSessionSettings[key] === 'number' ? saved[key] > 0 : Array.isArray(saved[key])
+    result[key] = isValid ? saved[key] : defaultFocusSessionSettings[key]
+  }
+  return result
+}
+
+function countFocusSessionsToday () {
+  var startOfDay = new Date().setHours(0, 0, 0, 0)
+  return focusSessionLog.filter(entry => entry.endedAt >= startOfDay).length
+}
+
+function logFocusPeriod () {
+  focusSessionLog.push({
+    startedAt: focusSession.periodStartedAt,
+    endedAt: Date.now(),
+    durationMs: Date.now() - focusSession.periodStartedAt,
+    round: focusSession.round
+  })
+  focusSessionLog = focusSessionLog.slice(-maxFocusSessionLogEntries)
+
+  fs.writeFile(focusSessionLogPath, JSON.stringify(focusSessionLog), function (err) {
+    if (err) {
+      console.warn('failed to save focus session log', err)
+    }
+  })
+}
+
+function sendFocusSessionState () {
+  focusSession.completedToday = countFocusSessionsToday()
+  windows.getAll().forEach(win => sendIPCToWindow(win, 'focusSessionUpdated', focusSession))
+}
+
+function showFocusSessionNotification (body) {
+  if (electron.Notification.isSupported()) {
+    new electron.Notification({ title: l('focusSessionNotificationTitle'), body: body, silent: false }).show()
+  }
+}
+
+function startFocusPeriod (round) {
+  var config = getFocusSessionSettings()
+
+  focusSession.state = 'focus'
+  focusSession.round = round
+  focusSession.rounds = config.rounds
+  focusSession.periodStartedAt = Date.now()
+  focusSession.endsAt = Date.now() + config.workMinutes * 60000
+
+  setFocusBlocklist(config.blocklist)
+  scheduleFocusSessionTimer(onFocusPeriodEnd)
+  sendFocusSessionState()
+}
+
+function startBreakPeriod () {
+  var config = getFocusSessionSettings()
+
+  focusSession.state = 'break'
+  focusSession.periodStartedAt = Date.now()
+  focusSession.endsAt = Date.now() + config.breakMinutes * 60000
+
+  setFocusBlocklist([])
+  scheduleFocusSessionTimer(function () {
+    showFocusSessionNotification(l('focusSessionBreakOver'))
+    startFocusPeriod(focusSession.round + 1)
+  })
+  sendFocusSessionState()
+}
+
+function onFocusPeriodEnd () {
+  logFocusPeriod()
+
+  if (focusSession.round < focusSession.rounds) {
+    showFocusSessionNotification(l('focusSessionTakeBreak'))
+    startBreakPeriod()
+  } else {
+    showFocusSessionNotification(l('focusSessionFinished'))
+    stopFocusSession()
+  }
+}
+
+function scheduleFocusSessionTimer (callback) {
+  clearTimeout(focusSessionTimer)
+  focusSessionTimer = setTimeout(callback, focusSession.endsAt - Date.now())
+}
+
+function stopFocusSession () {
+  clearTimeout(focusSessionTimer)
+
+  focusSession.state = 'idle'
+  focusSession.round = 0
+  focusSession.rounds = 0
+  focusSession.periodStartedAt = null
+  focusSession.endsAt = null
+
+  setFocusBlocklist([])
+  sendFocusSessionState()
+}
+
+ipc.on('startFocusSession', function () {
+  startFocusPeriod(1)
+})
+
+ipc.on('stopFocusSession', function () {
+  stopFocusSession()
+})
+
+ipc.on('skipFocusSessionBreak', function () {
+  if (focusSession.state === 'break') {
+    startFocusPeriod(focusSession.round + 1)
+  }
+})
+
+ipc.handle('getFocusSession', function () {
+  focusSession.completedToday = countFocusSessionsToday()
+  return focusSession
+})
+
+ipc.handle('getFocusSessionLog', function () {
+  return focusSessionLog
+})
+
+// changes to the blocklist apply to the current focus period
+settings.listen('focusSessions', function () {
+  if (focusSession.state === 'focus') {
+    setFocusBlocklist(getFocusSessionSettings().blocklist)
+  }
+})
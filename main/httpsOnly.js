@@ -0,0 +1,100 @@
+/*
+HTTPS-only mode: when the httpsOnly setting is enabled, http:// requests are upgraded to https:// by handleRequest (see filtering.js).
+If an upgraded page can't be loaded, the window shows pages/httpsOnly instead of the error page, where the site can be
+added to the httpsOnlyExceptions setting so that it's loaded over HTTP from then on.
+*/
+
+var httpsOnlyEnabled = false
+var httpsOnlyExceptions = []
+
+// upgraded page URL -> original http:// URL, so that failed loads can be traced back to the page that was requested
+var httpsUpgrades = new Map()
+const maxHTTPSUpgrades = 100
+
+settings.listen('httpsOnly', function (value) {
+  httpsOnlyEnabled = value === true
+})
+
+settings.listen('httpsOnlyExceptions', function (value) {
+  httpsOnlyExceptions = value || []
+})
+
+function isHTTPSOnlyException (host) {
+  return httpsOnlyExceptions.some(domain => host === domain || host.endsWith('.' + domain))
+}
+
+// local servers almost never have certificates, and aren't reachable from the network anyway
+function isLoopbackHost (host) {
+  return host === 'localhost' || host.endsWith('.localhost') || host === '[::1]' || /^127\.\d+\.\d+\.\d+$/.test(host)
+}
+
+/**
+ * Get the https:// URL that a request should be loaded from instead
+ * @param details the request details from onBeforeRequest
+ * @param pageHost the host of the page that made the request, for requests other than main frames
+ * @returns the upgraded URL, or null if the request should be loaded as it is
+ */
+function getHTTPSUpgradeURL (details, pageHost) {
+  if (!httpsOnlyEnabled || !details.url.startsWith('http://')) {
+    return null
+  }
+
+  var url
+  try {
+    url = new URL(details.url)
+  } catch (e) {
+    return null
+  }
+
+  if (isLoopbackHost(url.hostname) || isHTTPSOnlyException(url.hostname) || (pageHost && isHTTPSOnlyException(pageHost))) {
+    return null
+  }
+
+  url.protocol = 'https:'
+  var upgradedURL = url.toString()
+
+  if (details.resourceType === 'mainFrame') {
+    httpsUpgrades.delete(upgradedURL)
+    httpsUpgrades.set(upgradedURL, details.url)
+    if (httpsUpgrades.size > maxHTTPSUpgrades) {
+      httpsUpgrades.delete(httpsUpgrades.keys().next().value)
+    }
+  }
+
+  return upgradedURL
+}
+
+/*
+Called by the window when a page fails to load. Returns the original http:// URL if the page was upgraded.
+The failed URL is the http:// one if an upgraded page redirected back to HTTP until there were too many redirects.
+*/
+ipc.handle('getFailedHTTPSUpgrade', function (e, failedURL) {
+  if (typeof failedURL !== 'string') {
+    return null
+  }
+  if (failedURL.startsWith('http://')) {
+    failedURL = 'https://' + failedURL.substring(7)
+  }
+  return httpsUpgrades.get(failedURL) || null
+})
+
+// Called from pages/httpsOnly when the user chooses to load a site over HTTP
+ipc.handle('addHTTPSOnlyException', function (e, url) {
+  var host
+  try {
+    host = new URL(url).hostname
+  } catch (e) {
+    return false
+  }
+
+  if (!url.startsWith('http://') || !host) {
+    return false
+  }
+
+  if (!isHTTPSOnlyException(host)) {
+    // update the list here as well, so that the page can be loaded right away
+    httpsOnlyExceptions = httpsOnlyExceptions.concat(host)
+    settings.set('httpsOnlyExceptions', httpsOnlyExceptions)
+  }
+  return true
+})
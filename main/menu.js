@@ -6,8 +6,8 @@ function buildAppMenu (options = {}) {
 
     if (value) {
       if (Array.isArray(value)) {
-        // value is array if multiple entries are set
-        return value[0].replace('mod', 'CmdOrCtrl')
+        // value is array if multiple entries are set, or empty if all shortcuts were removed
+        return value.length > 0 ? value[0].replace('mod', 'CmdOrCtrl') : null
       } else {
         return value.replace('mod', 'CmdOrCtrl')
       }
@@ -76,6 +76,15 @@ function buildAppMenu (options = {}) {
           sendIPCToWindow(window, 'showHistory')
         }
       }
+    },
+    {
+      label: l('appMenuDownloads'),
+      accelerator: getFormattedKeyMapEntry('showDownloads'),
+      click: function (item, window, event) {
+        if (!event.triggeredByAccelerator) {
+          sendIPCToWindow(window, 'showDownloads')
+        }
+      }
     }
   ]
 
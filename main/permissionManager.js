@@ -2,6 +2,62 @@ var pendingPermissions = []
 var grantedPermissions = []
 var nextPermissionId = 1
 
+/*
+Decisions that are kept across restarts, stored in the sitePermissions setting by origin:
+{ "https://meet.example.com": { "media:audio": "allow", "media:video": "allow", "notifications": "deny" } }
+Permissions without a saved decision are asked for again.
+*/
+function getSavedPermissionKeys (permission, details) {
+  if (permission === 'media') {
+    var mediaTypes = details.mediaTypes || (details.mediaType ? [details.mediaType] : [])
+    return mediaTypes.map(type => 'media:' + type)
+  }
+  return [permission]
+}
+
+function getSavedDecision (origin, permission, details) {
+  var decisions = (settings.get('sitePermissions') || {})[origin]
+  if (!decisions) {
+    return 'ask'
+  }
+
+  var keys = getSavedPermissionKeys(permission, details)
+
+  // a general media check with no specific type is allowed if any media type is
+  if (keys.length === 0) {
+    return Object.keys(decisions).some(key => key.startsWith('media:') && decisions[key] === 'allow') ? 'allow' : 'ask'
+  }
+
+  var values = keys.map(key => decisions[key] || 'ask')
+  if (values.includes('deny')) {
+    return 'deny'
+  }
+  if (values.every(value => value === 'allow')) {
+    return 'allow'
+  }
+  return 'ask'
+}
+
+function saveDecision (origin, permission, details, decision) {
+  var saved = Object.assign({}, settings.get('sitePermissions'))
+  var decisions = Object.assign({}, saved[origin])
+
+  getSavedPermissionKeys(permission, details).forEach(function (key) {
+    if (decision === 'ask') {
+      delete decisions[key]
+    } else {
+      decisions[key] = decision
+    }
+  })
+
+  if (Object.keys(decisions).length > 0) {
+    saved[origin] = decisions
+  } else {
+    delete saved[origin]
+  }
+  settings.set('sitePermissions', saved)
+}
+
 /*
 All permission requests are given to the renderer on each change,
 it will figure out what updates to make
@@ -102,9 +158,10 @@ function pagePermissionRequestHandler (webContents, permission, callback, detail
     return
   }
 
-  let requestOrigin
+  let requestOrigin, savedOrigin
   try {
     requestOrigin = new URL(details.requestingUrl).hostname
+    savedOrigin = new URL(details.requestingUrl).origin
   } catch (e) {
     // invalid URL
     console.warn(e, details.requestingUrl)
@@ -117,10 +174,16 @@ function pagePermissionRequestHandler (webContents, permission, callback, detail
   Other permissions aren't supported for now to simplify the UI
   */
   if (['media', 'notifications', 'pointerLock'].includes(permission)) {
+    var savedDecision = getSavedDecision(savedOrigin, permission, details)
+    if (savedDecision === 'deny') {
+      callback(false)
+      return
+    }
+
     /*
-    If permission was previously granted for this origin in a different tab, new requests should be allowed
+    If permission was previously granted for this origin in a different tab (or saved as allowed), new requests should be allowed
     */
-    if (isPermissionGrantedForOrigin(requestOrigin, permission, details)) {
+    if (savedDecision === 'allow' || isPermissionGrantedForOrigin(requestOrigin, permission, details)) {
       callback(true)
 
       if (!grantedPermissions.some(grant => grant.contents === webContents && grant.permission === permission)) {
@@ -129,6 +192,7 @@ function pagePermissionRequestHandler (webContents, permission, callback, detail
           tabId: getTabIDFromWebContents(webContents),
           contents: webContents,
           origin: requestOrigin,
+          savedOrigin: savedOrigin,
           permission: permission,
           details: details,
           granted: true
@@ -149,6 +213,7 @@ function pagePermissionRequestHandler (webContents, permission, callback, detail
         tabId: getTabIDFromWebContents(webContents),
         contents: webContents,
         origin: requestOrigin,
+        savedOrigin: savedOrigin,
         permission: permission,
         details: details,
         callback: callback
@@ -191,15 +256,21 @@ function pagePermissionCheckHandler (webContents, permission, requestingOrigin,
     return true
   }
 
-  let requestHostname
+  let requestHostname, savedOrigin
   try {
     requestHostname = new URL(requestingOrigin).hostname
+    savedOrigin = new URL(requestingOrigin).origin
   } catch (e) {
     // invalid URL
     console.warn(e, requestingOrigin)
     return false
   }
 
+  var savedDecision = getSavedDecision(savedOrigin, permission, details)
+  if (savedDecision !== 'ask') {
+    return savedDecision === 'allow'
+  }
+
   return isPermissionGrantedForOrigin(requestHostname, permission, details)
 }
 
@@ -213,16 +284,63 @@ app.on('session-created', function (session) {
   session.setPermissionCheckHandler(pagePermissionCheckHandler)
 })
 
-ipc.on('permissionGranted', function (e, permissionId) {
+// decisions made in private tabs aren't saved, since they would apply to normal tabs too
+function canSaveDecision (request) {
+  return !request.contents.isDestroyed() && request.contents.session.isPersistent()
+}
+
+ipc.on('permissionGranted', function (e, permissionId, options) {
+  for (var i = 0; i < pendingPermissions.length; i++) {
+    if (permissionId && pendingPermissions[i].permissionId === permissionId) {
+      var request = pendingPermissions.splice(i, 1)[0]
+      request.granted = true
+      request.callback(true)
+      grantedPermissions.push(request)
+      // "always allow" is remembered so the site doesn't have to ask again after a restart
+      if (options && options.always === true && canSaveDecision(request)) {
+        saveDecision(request.savedOrigin, request.permission, request.details, 'allow')
+      }
+
+      sendPermissionsToRenderers()
+      break
+    }
+  }
+})
+
+ipc.on('permissionDenied', function (e, permissionId) {
   for (var i = 0; i < pendingPermissions.length; i++) {
     if (permissionId && pendingPermissions[i].permissionId === permissionId) {
-      pendingPermissions[i].granted = true
-      pendingPermissions[i].callback(true)
-      grantedPermissions.push(pendingPermissions[i])
-      pendingPermissions.splice(i, 1)
+      var request = pendingPermissions.splice(i, 1)[0]
+      request.callback(false)
+      if (canSaveDecision(request)) {
+        saveDecision(request.savedOrigin, request.permission, request.details, 'deny')
+      }
 
       sendPermissionsToRenderers()
       break
     }
   }
 })
+
+/*
+A decision was changed in settings - pending requests it covers are answered, and
+grants it revokes stop applying to open pages once they reload
+*/
+settings.listen('sitePermissions', function () {
+  pendingPermissions = pendingPermissions.filter(function (request) {
+    var decision = getSavedDecision(request.savedOrigin, request.permission, request.details)
+    if (decision !== 'ask') {
+      request.callback(decision === 'allow')
+      if (decision === 'allow') {
+        request.granted = true
+        grantedPermissions.push(request)
+      }
+      return false
+    }
+    return true
+  })
+
+  grantedPermissions = grantedPermissions.filter(grant => getSavedDecision(grant.savedOrigin, grant.permission, grant.details) !== 'deny')
+
+  sendPermissionsToRenderers()
+})
@@ -0,0 +1,318 @@
+var SVG_NS = 'http://www.w3.org/2000/svg'
+
+var NODE_WIDTH = 220
+var NODE_HEIGHT = 44
+var COLUMN_WIDTH = 280
+var ROW_HEIGHT = 60
+var MIN_SCALE = 0.1
+var MAX_SCALE = 3
+
+var svg = document.getElementById('graph')
+var content = document.getElementById('graph-content')
+var edgeLayer = document.getElementById('graph-edges')
+var nodeLayer = document.getElementById('graph-nodes')
+var emptyMessage = document.getElementById('empty-message')
+var branchCount = document.getElementById('branch-count')
+
+var details = document.getElementById('node-details')
+var detailsTitle = document.getElementById('details-title')
+var detailsURL = document.getElementById('details-url')
+var detailsCreated = document.getElementById('details-created')
+var detailsLastActive = document.getElementById('details-last-active')
+var detailsHistory = document.getElementById('details-history')
+
+var view = { x: 40, y: 80, scale: 1 }
+var graphBounds = { width: 0, height: 0 }
+var hasFitted = false
+
+function formatDate (timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : ''
+}
+
+function getDomain (url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '')
+  } catch (e) {
+    return ''
+  }
+}
+
+function getFaviconURL (url) {
+  try {
+    var urlObj = new URL(url)
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      return null
+    }
+    return urlObj.origin + '/favicon.ico'
+  } catch (e) {
+    return null
+  }
+}
+
+function getNodeTitle (node) {
+  return node.title || getDomain(node.url) || node.url || 'New Tab'
+}
+
+function truncate (text, length) {
+  return text.length > length ? text.substring(0, length - 1) + '…' : text
+}
+
+/* layout - leaves are stacked in rows, parents are centered next to their children */
+
+function layoutTree (roots) {
+  var nextRow = 0
+  var maxDepth = 0
+
+  function place (node, depth) {
+    node.x = depth * COLUMN_WIDTH
+    maxDepth = Math.max(maxDepth, depth)
+
+    if (node.children.length === 0) {
+      node.y = nextRow * ROW_HEIGHT
+      nextRow++
+    } else {
+      node.children.forEach(function (child) {
+        place(child, depth + 1)
+      })
+      node.y = (node.children[0].y + node.children[node.children.length - 1].y) / 2
+    }
+  }
+
+  roots.forEach(function (root) {
+    place(root, 0)
+  })
+
+  graphBounds = {
+    width: maxDepth * COLUMN_WIDTH + NODE_WIDTH,
+    height: Math.max(0, nextRow - 1) * ROW_HEIGHT + NODE_HEIGHT
+  }
+}
+
+/* rendering */
+
+function createSVGElement (name, attributes) {
+  var el = document.createElementNS(SVG_NS, name)
+  for (var key in attributes) {
+    el.setAttribute(key, attributes[key])
+  }
+  return el
+}
+
+function renderEdge (parent, child) {
+  var startX = parent.x + NODE_WIDTH
+  var startY = parent.y + NODE_HEIGHT / 2
+  var endX = child.x
+  var endY = child.y + NODE_HEIGHT / 2
+  var midX = (startX + endX) / 2
+
+  edgeLayer.appendChild(createSVGElement('path', {
+    class: 'graph-edge',
+    d: 'M' + startX + ' ' + startY + ' C' + midX + ' ' + startY + ' ' + midX + ' ' + endY + ' ' + endX + ' ' + endY
+  }))
+}
+
+function renderNode (node, selectedBranchId) {
+  var group = createSVGElement('g', {
+    class: 'graph-node',
+    transform: 'translate(' + node.x + ',' + node.y + ')',
+    tabindex: 0
+  })
+  if (node.id === selectedBranchId) {
+    group.classList.add('selected')
+  }
+  if (node.state === 'sleeping' || node.state === 'closed') {
+    group.classList.add(node.state)
+  }
+
+  group.appendChild(createSVGElement('rect', {
+    width: NODE_WIDTH,
+    height: NODE_HEIGHT,
+    rx: 8
+  }))
+
+  var title = getNodeTitle(node)
+
+  var fallback = createSVGElement('text', { class: 'node-fallback-icon', x: 14, y: 27 })
+  fallback.textContent = title.charAt(0).toUpperCase()
+
+  var faviconURL = getFaviconURL(node.url)
+  if (faviconURL) {
+    var favicon = createSVGElement('image', { x: 10, y: 14, width: 16, height: 16, href: faviconURL })
+    favicon.addEventListener('error', function () {
+      group.replaceChild(fallback, favicon)
+    })
+    group.appendChild(favicon)
+  } else {
+    group.appendChild(fallback)
+  }
+
+  var titleText = createSVGElement('text', { class: 'node-title', x: 34, y: 19 })
+  titleText.textContent = truncate(title, 28)
+  group.appendChild(titleText)
+
+  var timeText = createSVGElement('text', { class: 'node-time', x: 34, y: 35 })
+  timeText.textContent = formatDate(node.lastActiveAt || node.createdAt)
+  group.appendChild(timeText)
+
+  group.addEventListener('mouseenter', function () {
+    showDetails(node)
+  })
+  group.addEventListener('focus', function () {
+    showDetails(node)
+  })
+  group.addEventListener('click', function () {
+    openBranch(node)
+  })
+  group.addEventListener('keydown', function (e) {
+    if (e.key === 'Enter') {
+      openBranch(node)
+    }
+  })
+
+  nodeLayer.appendChild(group)
+}
+
+function render (tree, selectedBranchId) {
+  empty(edgeLayer)
+  empty(nodeLayer)
+
+  layoutTree(tree)
+
+  var count = 0
+  function renderSubtree (node) {
+    count++
+    renderNode(node, selectedBranchId)
+    node.children.forEach(function (child) {
+      renderEdge(node, child)
+      renderSubtree(child)
+    })
+  }
+  tree.forEach(renderSubtree)
+
+  emptyMessage.hidden = count > 0
+  branchCount.textContent = count + ' branch' + (count !== 1 ? 'es' : '')
+
+  if (!hasFitted && count > 0) {
+    fitToWindow()
+    hasFitted = true
+  }
+}
+
+function empty (node) {
+  while (node.firstChild) {
+    node.removeChild(node.firstChild)
+  }
+}
+
+/* details panel */
+
+function showDetails (node) {
+  details.hidden = false
+  detailsTitle.textContent = getNodeTitle(node)
+  detailsURL.textContent = node.url || ''
+  detailsURL.href = getFaviconURL(node.url) ? node.url : '#'
+  detailsCreated.textContent = formatDate(node.createdAt)
+  detailsLastActive.textContent = formatDate(node.lastActiveAt)
+
+  empty(detailsHistory)
+  var history = node.history || []
+  var currentIndex = typeof node.historyIndex === 'number' ? node.historyIndex : history.length - 1
+  history.forEach(function (entry, index) {
+    var item = document.createElement('li')
+    if (index === currentIndex) {
+      item.className = 'current'
+    }
+    var time = document.createElement('time')
+    time.textContent = formatDate(entry.timestamp)
+    item.appendChild(time)
+    item.appendChild(document.createTextNode(entry.title || entry.url))
+    detailsHistory.appendChild(item)
+  })
+}
+
+function openBranch (node) {
+  postMessage({ message: 'openBranch', branchId: node.id })
+}
+
+/* pan and zoom */
+
+function applyView () {
+  content.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.scale + ')')
+}
+
+function zoomAt (factor, clientX, clientY) {
+  var newScale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor))
+  // keep the point under the cursor in the same place
+  view.x = clientX - (clientX - view.x) * (newScale / view.scale)
+  view.y = clientY - (clientY - view.y) * (newScale / view.scale)
+  view.scale = newScale
+  applyView()
+}
+
+function fitToWindow () {
+  var padding = 80
+  var availableWidth = (details.hidden ? window.innerWidth : window.innerWidth - 320) - padding * 2
+  var availableHeight = window.innerHeight - padding * 2
+
+  view.scale = Math.min(1, Math.max(MIN_SCALE, Math.min(availableWidth / graphBounds.width, availableHeight / graphBounds.height)))
+  view.x = padding
+  view.y = padding + Math.max(0, (availableHeight - graphBounds.height * view.scale) / 2)
+  applyView()
+}
+
+svg.addEventListener('wheel', function (e) {
+  e.preventDefault()
+  if (e.ctrlKey || e.metaKey) {
+    // pinch gesture or ctrl+scroll
+    zoomAt(Math.pow(0.99, e.deltaY), e.clientX, e.clientY)
+  } else {
+    view.x -= e.deltaX
+    view.y -= e.deltaY
+    applyView()
+  }
+}, { passive: false })
+
+var panStart = null
+
+svg.addEventListener('mousedown', function (e) {
+  if (e.target.closest('.graph-node')) {
+    return
+  }
+  panStart = { x: e.clientX - view.x, y: e.clientY - view.y }
+  svg.classList.add('panning')
+})
+
+window.addEventListener('mousemove', function (e) {
+  if (!panStart) {
+    return
+  }
+  view.x = e.clientX - panStart.x
+  view.y = e.clientY - panStart.y
+  applyView()
+})
+
+window.addEventListener('mouseup', function () {
+  panStart = null
+  svg.classList.remove('panning')
+})
+
+document.getElementById('fit-button').addEventListener('click', fitToWindow)
+
+document.getElementById('zoom-in-button').addEventListener('click', function () {
+  zoomAt(1.25, window.innerWidth / 2, window.innerHeight / 2)
+})
+
+document.getElementById('zoom-out-button').addEventListener('click', function () {
+  zoomAt(0.8, window.innerWidth / 2, window.innerHeight / 2)
+})
+
+/* data */
+
+window.addEventListener('message', function (e) {
+  if (e.data && e.data.message === 'receiveBranchTree') {
+    render(e.data.tree, e.data.selectedBranchId)
+  }
+})
+
+postMessage({ message: 'getBranchTree' })
+applyView()
@@ -0,0 +1,145 @@
+var downloadsList = document.getElementById('downloads-list')
+var emptyMessage = document.getElementById('downloads-empty')
+var noResultsMessage = document.getElementById('downloads-no-results')
+var searchInput = document.getElementById('downloads-search')
+var clearButton = document.getElementById('downloads-clear')
+
+var downloadHistory = []
+
+searchInput.placeholder = l('downloadsSearch')
+
+function getFileSizeString (bytes) {
+  var prefixes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB']
+
+  var size = bytes
+  var prefixIndex = 0
+
+  while (size > 900) {
+    size /= 1024
+    prefixIndex++
+  }
+
+  return (Math.round(size * 10) / 10) + ' ' + prefixes[prefixIndex]
+}
+
+function getStateText (entry) {
+  if (entry.state === 'progressing') {
+    return getFileSizeString(entry.size.received) + ' / ' + getFileSizeString(entry.size.total)
+  }
+  if (entry.state === 'completed') {
+    return entry.exists ? getFileSizeString(entry.size.total) : l('downloadsFileMissing')
+  }
+  if (entry.state === 'cancelled') {
+    return l('downloadsStateCancelled')
+  }
+  return l('downloadStateFailed')
+}
+
+function matchesSearch (entry, text) {
+  return [entry.name, entry.path, entry.url, entry.pageURL].some(function (value) {
+    return value && value.toLowerCase().includes(text)
+  })
+}
+
+function createActionButton (icon, label, action) {
+  var button = document.createElement('button')
+  button.className = 'download-action i ' + icon
+  button.title = label
+  button.setAttribute('aria-label', label)
+  button.addEventListener('click', function (e) {
+    e.stopPropagation()
+    action()
+  })
+  return button
+}
+
+function createDownloadItem (entry) {
+  var item = document.createElement('li')
+  item.className = 'download-entry'
+  item.setAttribute('data-state', entry.state)
+
+  var info = document.createElement('div')
+  info.className = 'download-entry-info'
+  item.appendChild(info)
+
+  var name = document.createElement('div')
+  name.className = 'download-entry-name'
+  name.textContent = entry.name
+  name.title = entry.path
+  info.appendChild(name)
+
+  var details = document.createElement('div')
+  details.className = 'download-entry-details'
+  details.textContent = getStateText(entry) + ' · ' + new Date(entry.startTime).toLocaleString()
+  info.appendChild(details)
+
+  // where the file came from
+  var source = document.createElement('a')
+  source.className = 'download-entry-source'
+  source.href = entry.pageURL || entry.url
+  source.textContent = entry.pageURL || entry.url
+  source.title = entry.url
+  info.appendChild(source)
+
+  var actions = document.createElement('div')
+  actions.className = 'download-entry-actions'
+  item.appendChild(actions)
+
+  if (entry.state === 'completed' && entry.exists) {
+    actions.appendChild(createActionButton('carbon:launch', l('downloadsOpen'), function () {
+      postMessage({ message: 'openDownload', id: entry.id })
+    }))
+    actions.appendChild(createActionButton('carbon:folder', l('downloadsShowInFolder'), function () {
+      postMessage({ message: 'showDownloadInFolder', id: entry.id })
+    }))
+  }
+
+  if (entry.state === 'interrupted') {
+    actions.appendChild(createActionButton('carbon:restart', l('downloadResume'), function () {
+      postMessage({ message: 'resumeDownload', id: entry.id })
+    }))
+  }
+
+  if (entry.state !== 'progressing') {
+    actions.appendChild(createActionButton('carbon:close', l('downloadsRemove'), function () {
+      postMessage({ message: 'removeDownload', id: entry.id })
+    }))
+  }
+
+  return item
+}
+
+function render () {
+  var text = searchInput.value.trim().toLowerCase()
+
+  // newest first
+  var entries = downloadHistory.slice().reverse().filter(function (entry) {
+    return !text || matchesSearch(entry, text)
+  })
+
+  downloadsList.textContent = ''
+  entries.forEach(function (entry) {
+    downloadsList.appendChild(createDownloadItem(entry))
+  })
+
+  emptyMessage.hidden = downloadHistory.length > 0
+  noResultsMessage.hidden = downloadHistory.length === 0 || entries.length > 0
+  clearButton.disabled = downloadHistory.length === 0
+}
+
+searchInput.addEventListener('input', render)
+
+clearButton.addEventListener('click', function () {
+  if (confirm(l('downloadsClearConfirm'))) {
+    postMessage({ message: 'clearDownloadHistory' })
+  }
+})
+
+window.addEventListener('message', function (e) {
+  if (e.data && e.data.message === 'receiveDownloadHistory') {
+    downloadHistory = e.data.history
+    render()
+  }
+})
+
+postMessage({ message: 'getDownloadHistory' })
@@ -263,6 +263,10 @@ const erorDescriptions = {
     name: l('crashErrorTitle'),
     message: l('crashErrorSubtitle')
   },
+  focusBlocked: {
+    name: l('focusBlockedTitle'),
+    message: l('focusBlockedMessage')
+  },
   '-21': offlineError, // network changed
   '-104': {
     message: l('genericConnectionFail')
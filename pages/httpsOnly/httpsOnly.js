@@ -0,0 +1,29 @@
+var searchParams = new URLSearchParams(window.location.search.replace('?', ''))
+
+var url = searchParams.get('url')
+
+var message = document.getElementById('https-only-message')
+var continueButton = document.getElementById('continue-button')
+var backButton = document.getElementById('back-button')
+
+var host = ''
+try {
+  host = new URL(url).hostname
+} catch (e) {}
+
+message.textContent = l('httpsOnlyMessage').replace('%s', host)
+
+continueButton.addEventListener('click', function () {
+  // the site is added to the exceptions, and then loaded, by the browser (see webviews.js)
+  postMessage({ message: 'allowInsecureSite', url: url })
+})
+
+// there's nothing to go back to in a new tab
+if (window.history.length > 1) {
+  backButton.addEventListener('click', function () {
+    window.history.back()
+  })
+  backButton.focus()
+} else {
+  backButton.hidden = true
+}
@@ -182,6 +182,261 @@ for (var contentType in contentTypes) {
   })(contentType)
 }
 
+/* filter list settings */
+
+var filterListsContainer = document.getElementById('filter-lists')
+var filterListsAddSource = document.getElementById('filter-lists-add-source')
+var filterListsAddError = document.getElementById('filter-lists-add-error')
+
+// the rule counts and errors of each list, saved by main/filterLists.js after the lists are loaded
+var filterListStatus = {}
+
+function setFilterLists (lists) {
+  settings.set('filterLists', lists)
+  showFilterLists(lists)
+}
+
+function updateFilterList (id, changes) {
+  settings.get('filterLists', function (lists = []) {
+    setFilterLists(lists.map(list => list.id === id ? Object.assign({}, list, changes) : list))
+  })
+}
+
+// direction is -1 to move the list up, 1 to move it down
+function moveFilterList (id, direction) {
+  settings.get('filterLists', function (lists = []) {
+    var index = lists.findIndex(list => list.id === id)
+    var newIndex = index + direction
+    if (index === -1 || newIndex < 0 || newIndex >= lists.length) {
+      return
+    }
+    lists = lists.slice()
+    lists.splice(newIndex, 0, lists.splice(index, 1)[0])
+    setFilterLists(lists)
+  })
+}
+
+function removeFilterList (id) {
+  settings.get('filterLists', function (lists = []) {
+    setFilterLists(lists.filter(list => list.id !== id))
+  })
+}
+
+function getFilterListStatusText (list) {
+  var status = filterListStatus[list.id]
+  if (!list.enabled || !status) {
+    return l('settingsFilterListsNotLoaded')
+  }
+  if (status.loadError) {
+    return l('settingsFilterListsLoadError').replace('%s', status.loadError)
+  }
+
+  var parts = [l('settingsFilterListsRuleCount').replace('%n', new Intl.NumberFormat().format(status.ruleCount))]
+  if (status.errorCount > 0) {
+    parts.push(l('settingsFilterListsErrorCount').replace('%n', new Intl.NumberFormat().format(status.errorCount)))
+  }
+  if (status.lastUpdated) {
+    parts.push(l('settingsFilterListsLastUpdated').replace('%t', new Date(status.lastUpdated).toLocaleString()))
+  }
+  return parts.join(' · ')
+}
+
+function createFilterListButton (icon, title, onClick) {
+  var button = document.createElement('button')
+  button.className = 'i carbon:' + icon + ' filter-list-button'
+  button.title = l(title)
+  button.addEventListener('click', onClick)
+  return button
+}
+
+function createFilterListItem (list, index, lists) {
+  var item = document.createElement('li')
+  item.className = 'filter-list-item'
+
+  var heading = document.createElement('div')
+  heading.className = 'filter-list-heading'
+
+  var checkbox = document.createElement('input')
+  checkbox.type = 'checkbox'
+  checkbox.id = 'filter-list-' + list.id
+  checkbox.checked = list.enabled
+  checkbox.addEventListener('change', function () {
+    updateFilterList(list.id, { enabled: checkbox.checked })
+  })
+  heading.appendChild(checkbox)
+
+  var label = document.createElement('label')
+  label.setAttribute('for', checkbox.id)
+  label.textContent = list.name
+  label.title = list.source || ''
+  heading.appendChild(label)
+
+  var upButton = createFilterListButton('arrow-up', 'settingsFilterListsMoveUp', function () {
+    moveFilterList(list.id, -1)
+  })
+  upButton.disabled = index === 0
+  heading.appendChild(upButton)
+
+  var downButton = createFilterListButton('arrow-down', 'settingsFilterListsMoveDown', function () {
+    moveFilterList(list.id, 1)
+  })
+  downButton.disabled = index === lists.length - 1
+  heading.appendChild(downButton)
+
+  // built-in lists can be turned off, but not removed
+  if (!list.builtIn) {
+    heading.appendChild(createFilterListButton('close', 'settingsFilterListsRemove', function () {
+      removeFilterList(list.id)
+    }))
+  }
+
+  item.appendChild(heading)
+
+  var statusLabel = document.createElement('div')
+  statusLabel.className = 'setting-secondary-label'
+  statusLabel.textContent = getFilterListStatusText(list)
+  item.appendChild(statusLabel)
+
+  var status = filterListStatus[list.id]
+  if (list.enabled && status && status.downloadError) {
+    var downloadError = document.createElement('div')
+    downloadError.className = 'setting-secondary-label branch-setting-error'
+    downloadError.textContent = l('settingsFilterListsUsingCache').replace('%s', status.downloadError)
+    item.appendChild(downloadError)
+  }
+
+  if (list.enabled && status && status.errors && status.errors.length > 0) {
+    var errors = document.createElement('details')
+    errors.className = 'filter-list-errors'
+
+    var summary = document.createElement('summary')
+    summary.textContent = l('settingsFilterListsErrorCount').replace('%n', new Intl.NumberFormat().format(status.errorCount))
+    errors.appendChild(summary)
+
+    status.errors.forEach(function (error) {
+      var line = document.createElement('div')
+      line.textContent = l(error.reason === 'invalid' ? 'settingsFilterListsInvalidRule' : 'settingsFilterListsUnsupportedRule').replace('%n', error.line)
+
+      var code = document.createElement('code')
+      code.textContent = error.text
+      line.appendChild(code)
+
+      errors.appendChild(line)
+    })
+    item.appendChild(errors)
+  }
+
+  return item
+}
+
+function showFilterLists (lists = []) {
+  filterListsContainer.textContent = ''
+  lists.forEach(function (list, index) {
+    filterListsContainer.appendChild(createFilterListItem(list, index, lists))
+  })
+}
+
+function getFilterListName (source) {
+  try {
+    var url = new URL(source)
+    return url.pathname.split('/').pop() || url.hostname
+  } catch (e) {
+    return source.split(/[/\\]/).pop()
+  }
+}
+
+settings.listen('filterLists', showFilterLists)
+
+settings.listen('filterListStatus', function (value = {}) {
+  filterListStatus = value
+  settings.get('filterLists', showFilterLists)
+})
+
+document.getElementById('filter-lists-add-button').addEventListener('click', function () {
+  var source = filterListsAddSource.value.trim()
+
+  // URLs, or full paths of local files
+  var isValid = /^(https?|file):\/\/./i.test(source) || source.startsWith('/') || /^[a-z]:\\/i.test(source)
+
+  settings.get('filterLists', function (lists = []) {
+    var error = null
+    if (!isValid) {
+      error = l('settingsFilterListsInvalidSource')
+    } else if (lists.some(list => list.source === source)) {
+      error = l('settingsFilterListsDuplicate')
+    }
+
+    filterListsAddError.textContent = error || ''
+    filterListsAddError.hidden = !error
+    filterListsAddSource.classList.toggle('invalid', !!error)
+    if (error) {
+      return
+    }
+
+    setFilterLists(lists.concat({
+      id: 'list-' + Date.now().toString(36),
+      name: getFilterListName(source),
+      source: source,
+      enabled: true
+    }))
+    filterListsAddSource.value = ''
+  })
+})
+
+document.getElementById('filter-lists-update-button').addEventListener('click', function () {
+  postMessage({ message: 'updateFilterLists' })
+})
+
+/* tracking parameter settings */
+
+var trackingParamRulesInput = document.getElementById('tracking-param-rules')
+var cleanCopiedLinksCheckbox = document.getElementById('checkbox-clean-copied-links')
+
+settings.get('trackingParamRules', function (value) {
+  trackingParamRulesInput.value = (value || []).join('\n')
+})
+
+trackingParamRulesInput.addEventListener('change', function () {
+  settings.set('trackingParamRules', trackingParamRulesInput.value.split('\n').map(line => line.trim()).filter(Boolean))
+})
+
+settings.get('cleanCopiedLinks', function (value) {
+  if (value === true) {
+    cleanCopiedLinksCheckbox.checked = true
+  }
+})
+
+cleanCopiedLinksCheckbox.addEventListener('change', function () {
+  settings.set('cleanCopiedLinks', this.checked)
+})
+
+/* HTTPS-only mode settings */
+
+var httpsOnlyCheckbox = document.getElementById('checkbox-https-only')
+var httpsOnlyExceptionsContainer = document.getElementById('https-only-exceptions-container')
+var httpsOnlyExceptionsInput = document.getElementById('https-only-exceptions')
+
+settings.get('httpsOnly', function (value) {
+  httpsOnlyCheckbox.checked = value === true
+  httpsOnlyExceptionsContainer.hidden = value !== true
+})
+
+httpsOnlyCheckbox.addEventListener('change', function () {
+  settings.set('httpsOnly', this.checked)
+  httpsOnlyExceptionsContainer.hidden = !this.checked
+})
+
+// sites are added to the exceptions from the page that's shown when a site can't be loaded over HTTPS
+settings.listen('httpsOnlyExceptions', function (value) {
+  httpsOnlyExceptionsInput.value = (value || []).join('\n')
+})
+
+httpsOnlyExceptionsInput.addEventListener('change', function () {
+  // accept pasted URLs as well as domains
+  var domains = httpsOnlyExceptionsInput.value.split('\n').map(line => line.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').split('/')[0]).filter(Boolean)
+  settings.set('httpsOnlyExceptions', domains)
+})
+
 /* dark mode setting */
 var darkModeNever = document.getElementById('dark-mode-never')
 var darkModeNight = document.getElementById('dark-mode-night')
@@ -449,40 +704,377 @@ searchEngineInput.addEventListener('input', function (e) {
   settings.set('searchEngine', { url: this.value })
 })
 
-/* key map settings */
+/* focus session settings */
 
-settings.get('keyMap', function (keyMapSettings) {
-  var keyMap = userKeyMap(keyMapSettings)
+var focusSessionInputs = Array.from(document.querySelectorAll('#focus-session-settings-container input'))
+var focusBlocklistInput = document.getElementById('focus-blocklist')
 
-  var keyMapList = document.getElementById('key-map-list')
+function setFocusSessionSetting (key, value) {
+  settings.get('focusSessions', function (focusSessions = {}) {
+    focusSessions[key] = value
+    settings.set('focusSessions', focusSessions)
+  })
+}
 
-  Object.keys(keyMap).forEach(function (action) {
-    var li = createKeyMapListItem(action, keyMap)
-    keyMapList.appendChild(li)
+settings.get('focusSessions', function (focusSessions = {}) {
+  // inputs keep their default value from the HTML if nothing is saved
+  focusSessionInputs.forEach(function (input) {
+    if (focusSessions[input.name]) {
+      input.value = focusSessions[input.name]
+    }
   })
+  focusBlocklistInput.value = (focusSessions.blocklist || []).join('\n')
 })
 
-function formatCamelCase (text) {
-  var result = text.replace(/([a-z])([A-Z])/g, '$1 $2')
-  return result.charAt(0).toUpperCase() + result.slice(1)
+focusSessionInputs.forEach(function (input) {
+  input.addEventListener('change', function () {
+    var isValid = input.checkValidity()
+    input.classList.toggle('invalid', !isValid)
+    if (isValid) {
+      setFocusSessionSetting(input.name, parseInt(input.value))
+    }
+  })
+})
+
+focusBlocklistInput.addEventListener('change', function () {
+  setFocusSessionSetting('blocklist', focusBlocklistInput.value.split('\n').map(line => line.trim()).filter(Boolean))
+})
+
+/* site permission settings */
+
+var sitePermissionsList = document.getElementById('site-permissions-list')
+var sitePermissionsEmpty = document.getElementById('site-permissions-empty')
+var sitePermissionsAddOrigin = document.getElementById('site-permissions-add-origin')
+var sitePermissionsAddPermission = document.getElementById('site-permissions-add-permission')
+var sitePermissionsAddDecision = document.getElementById('site-permissions-add-decision')
+var sitePermissionsAddError = document.getElementById('site-permissions-add-error')
+
+var sitePermissionNames = {
+  'media:video': 'settingsPermissionCamera',
+  'media:audio': 'settingsPermissionMicrophone',
+  notifications: 'settingsPermissionNotifications',
+  pointerLock: 'settingsPermissionPointerLock'
 }
 
-function createKeyMapListItem (action, keyMap) {
-  var li = document.createElement('li')
-  var label = document.createElement('label')
+var sitePermissionDecisions = {
+  allow: 'settingsPermissionAllow',
+  deny: 'settingsPermissionBlock',
+  ask: 'settingsPermissionAsk'
+}
+
+function createOptions (select, names) {
+  for (var key in names) {
+    var option = document.createElement('option')
+    option.value = key
+    option.textContent = l(names[key])
+    select.appendChild(option)
+  }
+}
+
+// decision is 'allow', 'deny', or 'ask' (which removes the saved decision)
+function setSitePermission (origin, permission, decision) {
+  settings.get('sitePermissions', function (sitePermissions = {}) {
+    var decisions = sitePermissions[origin] || {}
+
+    if (decision === 'ask') {
+      delete decisions[permission]
+    } else {
+      decisions[permission] = decision
+    }
+
+    if (Object.keys(decisions).length > 0) {
+      sitePermissions[origin] = decisions
+    } else {
+      delete sitePermissions[origin]
+    }
+    settings.set('sitePermissions', sitePermissions)
+  })
+}
+
+function removeSite (origin) {
+  settings.get('sitePermissions', function (sitePermissions = {}) {
+    delete sitePermissions[origin]
+    settings.set('sitePermissions', sitePermissions)
+  })
+}
+
+function createSitePermissionItem (origin, decisions) {
+  var item = document.createElement('li')
+  item.className = 'site-permissions-item'
+
+  var heading = document.createElement('div')
+  heading.className = 'site-permissions-origin'
+
+  var originLabel = document.createElement('span')
+  originLabel.textContent = origin
+  heading.appendChild(originLabel)
+
+  var removeButton = document.createElement('button')
+  removeButton.className = 'i carbon:close site-permissions-remove'
+  removeButton.title = l('settingsSitePermissionsRemove')
+  removeButton.addEventListener('click', function () {
+    removeSite(origin)
+  })
+  heading.appendChild(removeButton)
+
+  item.appendChild(heading)
+
+  Object.keys(decisions).forEach(function (permission) {
+    var row = document.createElement('div')
+    row.className = 'setting-option'
+
+    var label = document.createElement('label')
+    label.textContent = sitePermissionNames[permission] ? l(sitePermissionNames[permission]) : permission
+    row.appendChild(label)
+
+    var select = document.createElement('select')
+    createOptions(select, sitePermissionDecisions)
+    select.value = decisions[permission]
+    select.addEventListener('change', function () {
+      setSitePermission(origin, permission, select.value)
+    })
+    row.appendChild(select)
+
+    item.appendChild(row)
+  })
+
+  return item
+}
+
+function showSitePermissions (sitePermissions = {}) {
+  var origins = Object.keys(sitePermissions).sort()
+
+  sitePermissionsList.textContent = ''
+  sitePermissionsEmpty.hidden = origins.length > 0
+
+  origins.forEach(function (origin) {
+    sitePermissionsList.appendChild(createSitePermissionItem(origin, sitePermissions[origin]))
+  })
+}
+
+createOptions(sitePermissionsAddPermission, sitePermissionNames)
+createOptions(sitePermissionsAddDecision, sitePermissionDecisions)
+
+// the list is updated when a site is allowed or blocked from the permission prompt
+settings.listen('sitePermissions', showSitePermissions)
+
+document.getElementById('site-permissions-add-button').addEventListener('click', function () {
+  var origin
+  try {
+    var url = new URL(sitePermissionsAddOrigin.value.trim())
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      origin = url.origin
+    }
+  } catch (e) {}
+
+  sitePermissionsAddError.hidden = !!origin
+  sitePermissionsAddOrigin.classList.toggle('invalid', !origin)
+  if (!origin) {
+    return
+  }
+
+  setSitePermission(origin, sitePermissionsAddPermission.value, sitePermissionsAddDecision.value)
+  sitePermissionsAddOrigin.value = ''
+})
+
+/* branch settings */
+
+var branchSettingsList = document.getElementById('branch-settings-list')
+
+// scale converts the number shown in the input to the unit saved in the setting (e.g. minutes to ms)
+var branchSettingGroups = [
+  {
+    heading: 'settingsBranchesSleepHeading',
+    fields: [
+      { path: 'sleep.enabled', type: 'checkbox', label: 'settingsBranchesSleepEnabled' },
+      { path: 'sleep.timeoutMs', type: 'number', label: 'settingsBranchesSleepTimeout', scale: 60000 },
+      { path: 'sleep.lowMemoryTimeoutMs', type: 'number', label: 'settingsBranchesSleepLowMemoryTimeout', scale: 60000 },
+      { path: 'sleep.keepAudioAwake', type: 'checkbox', label: 'settingsBranchesKeepAudioAwake' }
+    ]
+  },
+  {
+    heading: 'settingsBranchesArchiveHeading',
+    fields: [
+      { path: 'archive.showClosed', type: 'checkbox', label: 'settingsBranchesShowClosed' },
+      { path: 'archive.retentionMs', type: 'number', label: 'settingsBranchesRetention', scale: 86400000 }
+    ]
+  },
+  {
+    heading: 'settingsBranchesSidebarHeading',
+    fields: [
+      { path: 'ui.sidebarWidth', type: 'number', label: 'settingsBranchesSidebarWidth', scale: 1 },
+      { path: 'ui.collapsedByDefault', type: 'checkbox', label: 'settingsBranchesCollapsedByDefault' },
+      { path: 'ui.showSleepingIndicator', type: 'checkbox', label: 'settingsBranchesShowSleepingIndicator' },
+      { path: 'ui.showSyncStatus', type: 'checkbox', label: 'settingsBranchesShowSyncStatus' }
+    ]
+  },
+  {
+    heading: 'settingsBranchesPunkRecordsHeading',
+    fields: [
+      { path: 'punkRecords.enabled', type: 'checkbox', label: 'settingsBranchesPunkRecordsEnabled' },
+      { path: 'punkRecords.endpoint', type: 'url', label: 'settingsBranchesPunkRecordsEndpoint' },
+      { path: 'punkRecords.apiKey', type: 'password', label: 'settingsBranchesPunkRecordsApiKey' },
+      { path: 'punkRecords.batchIntervalMs', type: 'number', label: 'settingsBranchesPunkRecordsInterval', scale: 1000 },
+      { path: 'punkRecords.exportContent', type: 'checkbox', label: 'settingsBranchesPunkRecordsExportContent' }
+    ]
+  }
+]
+
+function getNestedValue (object, path) {
+  var keys = path.split('.')
+  var value = object
+  for (var i = 0; i < keys.length && value !== undefined && value !== null; i++) {
+    value = value[keys[i]]
+  }
+  return value
+}
+
+function setBranchSetting (path, value) {
+  settings.get('branchBrowser', function (config) {
+    config = config || {}
+    var keys = path.split('.')
+    var target = config
+    for (var i = 0; i < keys.length - 1; i++) {
+      if (!target[keys[i]]) {
+        target[keys[i]] = {}
+      }
+      target = target[keys[i]]
+    }
+    target[keys[keys.length - 1]] = value
+    settings.set('branchBrowser', config)
+  })
+}
+
+// Uses the browser's own validation messages, plus a check that the endpoint is an http(s) URL
+function validateBranchSetting (field, input, errorLabel) {
+  if (field.type === 'url') {
+    var isHttpURL = /^https?:\/\/\S+$/i.test(input.value.trim())
+    input.setCustomValidity(input.value.trim() && !isHttpURL ? l('settingsBranchesInvalidEndpoint') : '')
+  }
+
+  var isValid = input.checkValidity()
+  input.classList.toggle('invalid', !isValid)
+  errorLabel.textContent = input.validationMessage
+  errorLabel.hidden = isValid
+  return isValid
+}
+
+function createBranchSettingItem (field, value) {
+  var section = document.createElement('div')
+  section.className = 'setting-section'
+
   var input = document.createElement('input')
-  label.innerText = formatCamelCase(action)
-  label.htmlFor = action
+  input.type = field.type
+  input.id = 'branch-setting-' + field.path.replace('.', '-')
 
-  input.type = 'text'
-  input.id = input.name = action
-  input.value = formatKeyValue(keyMap[action])
-  input.addEventListener('input', onKeyMapChange)
+  var label = document.createElement('label')
+  label.htmlFor = input.id
+  label.textContent = l(field.label)
 
-  li.appendChild(label)
-  li.appendChild(input)
+  if (field.type === 'checkbox') {
+    input.checked = !!value
+    input.addEventListener('change', function () {
+      setBranchSetting(field.path, input.checked)
+    })
 
-  return li
+    section.appendChild(input)
+    section.appendChild(label)
+    return section
+  }
+
+  var errorLabel = document.createElement('div')
+  errorLabel.className = 'setting-secondary-label branch-setting-error'
+  errorLabel.hidden = true
+
+  if (field.type === 'number') {
+    var limits = branchBrowserLimits[field.path]
+    input.min = limits.min / field.scale
+    input.max = limits.max / field.scale
+    input.step = 1
+    input.required = true
+    input.value = value / field.scale
+  } else {
+    input.spellcheck = false
+    input.value = value || ''
+  }
+
+  input.addEventListener('input', function () {
+    validateBranchSetting(field, input, errorLabel)
+  })
+
+  input.addEventListener('change', function () {
+    if (!validateBranchSetting(field, input, errorLabel)) {
+      return
+    }
+
+    if (field.type === 'number') {
+      setBranchSetting(field.path, Math.round(parseFloat(input.value) * field.scale))
+    } else if (field.type === 'password') {
+      setBranchSetting(field.path, input.value.trim() || null)
+    } else {
+      setBranchSetting(field.path, input.value.trim())
+    }
+  })
+
+  section.appendChild(label)
+  section.appendChild(input)
+  section.appendChild(errorLabel)
+
+  validateBranchSetting(field, input, errorLabel)
+
+  return section
+}
+
+function showBranchSettings (config) {
+  branchSettingsList.textContent = ''
+
+  branchSettingGroups.forEach(function (group) {
+    var heading = document.createElement('h4')
+    heading.className = 'branch-settings-heading'
+    heading.textContent = l(group.heading)
+    branchSettingsList.appendChild(heading)
+
+    group.fields.forEach(function (field) {
+      var value = getNestedValue(config, field.path)
+      if (value === undefined) {
+        value = getNestedValue(branchBrowserDefaults, field.path)
+      }
+      branchSettingsList.appendChild(createBranchSettingItem(field, value))
+    })
+  })
+}
+
+settings.get('branchBrowser', showBranchSettings)
+
+document.getElementById('branch-settings-reset').addEventListener('click', function () {
+  if (confirm(l('settingsBranchesResetConfirm'))) {
+    settings.set('branchBrowser', {})
+    showBranchSettings({})
+  }
+})
+
+/* key map settings */
+
+var keyMapList = document.getElementById('key-map-list')
+var builtInKeyMapList = document.getElementById('built-in-key-map-list')
+var isMac = navigator.platform === 'MacIntel'
+
+// the action that a new shortcut is being recorded for
+var recordingAction = null
+// the reason the last recorded shortcut wasn't added, by action
+var keyMapErrors = {}
+
+// used to record the unmodified key on non-US layouts, where modifiers can change e.key
+var keyboardLayoutMap = null
+if (navigator.keyboard) {
+  navigator.keyboard.getLayoutMap().then(function (map) {
+    keyboardLayoutMap = map
+  })
+}
+
+function formatCamelCase (text) {
+  var result = text.replace(/([a-z])([A-Z])/g, '$1 $2')
+  return result.charAt(0).toUpperCase() + result.slice(1)
 }
 
 function formatKeyValue (value) {
@@ -503,41 +1095,278 @@ function formatKeyValue (value) {
   return value
 }
 
-function parseKeyInput (input) {
-  // input may be a single mapping or multiple mappings comma separated.
-  var parsed = input.toLowerCase().split(',')
-  parsed = parsed.map(function (e) { return e.trim() })
-  // Remove empty
-  parsed = parsed.filter(Boolean)
-  // convert key names back to generic equivalents
-  parsed = parsed.map(function (e) {
-    if (navigator.platform === 'MacIntel') {
-      e = e.replace(/\b(command)|(cmd)\b/g, 'mod')
+// Returns the shortcut for a keydown event in the form used by keyMap.js, null for modifier keys, or '' if the key can't be used
+function getKeyComboFromEvent (e) {
+  var namedKeys = {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    Escape: 'esc'
+  }
+
+  if (['Shift', 'Alt', 'Control', 'Meta'].includes(e.key)) {
+    return null
+  }
+
+  var key = namedKeys[e.key] || (keyboardLayoutMap && keyboardLayoutMap.get(e.code)) || e.key
+  key = key.toLowerCase()
+
+  // shortcuts are split on "+", and the key matching in keybindings.js doesn't handle spaces
+  if (key === '+' || key.trim() === '') {
+    return ''
+  }
+
+  var keys = []
+  if (e.shiftKey) {
+    keys.push('shift')
+  }
+  if (e.altKey) {
+    keys.push('option')
+  }
+  if (isMac) {
+    if (e.ctrlKey) {
+      keys.push('ctrl')
+    }
+    if (e.metaKey) {
+      keys.push('mod')
+    }
+  } else {
+    if (e.ctrlKey) {
+      keys.push('mod')
+    }
+    if (e.metaKey) {
+      keys.push('super')
+    }
+  }
+  keys.push(key)
+
+  return keys.join('+')
+}
+
+function setKeyMapBindings (action, bindings) {
+  settings.get('keyMap', function (keyMapSettings = {}) {
+    var defaultBindings = getKeyMapBindings(defaultKeyMap[action])
+
+    if (bindings.length === defaultBindings.length && bindings.every((binding, i) => binding === defaultBindings[i])) {
+      delete keyMapSettings[action]
     } else {
-      e = e.replace(/\b(control)|(ctrl)\b/g, 'mod')
-      e = e.replace(/\balt\b/g, 'option')
-      e = e.replace(/\bwin\b/g, 'super')
+      keyMapSettings[action] = bindings.length === 1 ? bindings[0] : bindings
     }
-    return e
+
+    settings.set('keyMap', keyMapSettings)
+    showRestartRequiredBanner()
+    renderKeyMap()
   })
-  return parsed.length > 1 ? parsed : parsed[0]
 }
 
-function onKeyMapChange (e) {
-  var action = this.name
-  var newValue = this.value
+function startRecordingShortcut (action) {
+  recordingAction = action
+  delete keyMapErrors[action]
+  // stop the browser from running shortcuts while they're being recorded
+  postMessage({ message: 'pauseShortcuts', paused: true })
+  renderKeyMap()
+}
+
+function stopRecordingShortcut () {
+  recordingAction = null
+  postMessage({ message: 'pauseShortcuts', paused: false })
+  renderKeyMap()
+}
+
+document.addEventListener('keydown', function (e) {
+  if (!recordingAction) {
+    return
+  }
+
+  e.preventDefault()
+  e.stopPropagation()
+
+  var combo = getKeyComboFromEvent(e)
+  if (combo === null) {
+    return
+  }
+
+  var action = recordingAction
+
+  if (combo === 'esc') {
+    stopRecordingShortcut()
+    return
+  }
 
   settings.get('keyMap', function (keyMapSettings) {
-    if (!keyMapSettings) {
-      keyMapSettings = {}
+    var keyMap = userKeyMap(keyMapSettings)
+    var bindings = getKeyMapBindings(keyMap[action])
+    var reserved = getReservedKeyCombo(combo, action, isMac)
+
+    if (combo === '') {
+      keyMapErrors[action] = l('settingsKeyboardShortcutsInvalidKey')
+    } else if (reserved) {
+      keyMapErrors[action] = l('settingsKeyboardShortcutsReserved').replace('%s', formatKeyValue(combo)).replace('%a', l(reserved))
+    } else if (bindings.some(binding => normalizeKeyCombo(binding, isMac) === normalizeKeyCombo(combo, isMac))) {
+      keyMapErrors[action] = l('settingsKeyboardShortcutsDuplicate').replace('%s', formatKeyValue(combo))
     }
 
-    keyMapSettings[action] = parseKeyInput(newValue)
-    settings.set('keyMap', keyMapSettings)
-    showRestartRequiredBanner()
+    if (keyMapErrors[action]) {
+      stopRecordingShortcut()
+    } else {
+      recordingAction = null
+      postMessage({ message: 'pauseShortcuts', paused: false })
+      setKeyMapBindings(action, bindings.concat(combo))
+    }
   })
+}, true)
+
+function createKeyBindingElement (combo, onRemove) {
+  var binding = document.createElement('span')
+  binding.className = 'key-map-binding'
+  binding.textContent = formatKeyValue(combo)
+
+  if (onRemove) {
+    var removeButton = document.createElement('button')
+    removeButton.className = 'i carbon:close'
+    removeButton.title = l('settingsKeyboardShortcutsRemove')
+    removeButton.addEventListener('click', onRemove)
+    binding.appendChild(removeButton)
+  }
+
+  return binding
 }
 
+function createKeyMapListItem (action, keyMap, keyMapSettings) {
+  var li = document.createElement('li')
+  var label = document.createElement('label')
+  label.textContent = formatCamelCase(action)
+  li.appendChild(label)
+
+  var bindingsContainer = document.createElement('span')
+  bindingsContainer.className = 'key-map-bindings'
+  li.appendChild(bindingsContainer)
+
+  var bindings = getKeyMapBindings(keyMap[action])
+  var messages = []
+
+  bindings.forEach(function (combo, index) {
+    var binding = createKeyBindingElement(combo, function () {
+      setKeyMapBindings(action, bindings.filter((b, i) => i !== index))
+    })
+
+    // shortcuts saved before the editor existed can still be reserved
+    var reserved = getReservedKeyCombo(combo, action, isMac)
+    var conflicts = getKeyComboConflicts(keyMap, combo, action, isMac)
+    if (reserved) {
+      messages.push(l('settingsKeyboardShortcutsReserved').replace('%s', formatKeyValue(combo)).replace('%a', l(reserved)))
+    } else if (conflicts.length > 0) {
+      messages.push(l('settingsKeyboardShortcutsConflict').replace('%s', formatKeyValue(combo)).replace('%a', conflicts.map(formatCamelCase).join(', ')))
+    }
+    binding.classList.toggle('conflict', !!reserved || conflicts.length > 0)
+
+    bindingsContainer.appendChild(binding)
+  })
+
+  if (recordingAction === action) {
+    var recording = document.createElement('span')
+    recording.className = 'key-map-binding recording'
+    recording.textContent = l('settingsKeyboardShortcutsRecording')
+    bindingsContainer.appendChild(recording)
+  }
+
+  var addButton = document.createElement('button')
+  addButton.className = 'key-map-button i carbon:add'
+  addButton.title = l('settingsKeyboardShortcutsAdd')
+  addButton.addEventListener('click', function () {
+    if (recordingAction === action) {
+      stopRecordingShortcut()
+    } else {
+      startRecordingShortcut(action)
+    }
+  })
+  bindingsContainer.appendChild(addButton)
+
+  if (keyMapSettings[action]) {
+    var resetButton = document.createElement('button')
+    resetButton.className = 'key-map-button i carbon:reset'
+    resetButton.title = l('settingsKeyboardShortcutsReset')
+    resetButton.addEventListener('click', function () {
+      delete keyMapErrors[action]
+      setKeyMapBindings(action, getKeyMapBindings(defaultKeyMap[action]))
+    })
+    bindingsContainer.appendChild(resetButton)
+  }
+
+  if (keyMapErrors[action]) {
+    messages.push(keyMapErrors[action])
+  }
+
+  messages.forEach(function (text) {
+    var message = document.createElement('div')
+    message.className = 'setting-secondary-label key-map-message'
+    message.textContent = text
+    li.appendChild(message)
+  })
+
+  return li
+}
+
+function renderKeyMap () {
+  settings.get('keyMap', function (keyMapSettings = {}) {
+    var keyMap = userKeyMap(keyMapSettings)
+
+    keyMapList.textContent = ''
+    Object.keys(keyMap).forEach(function (action) {
+      keyMapList.appendChild(createKeyMapListItem(action, keyMap, keyMapSettings))
+    })
+  })
+}
+
+// Shortcuts that can't be changed, grouped by what they do
+function renderBuiltInKeyMap () {
+  var groups = {}
+  var platformReservedKeyMap = getReservedKeyMap(isMac)
+  Object.keys(platformReservedKeyMap).forEach(function (combo) {
+    var name = platformReservedKeyMap[combo]
+    groups[name] = (groups[name] || []).concat(combo)
+  })
+
+  Object.keys(groups).forEach(function (name) {
+    var li = document.createElement('li')
+    var label = document.createElement('label')
+    label.textContent = l(name)
+    li.appendChild(label)
+
+    var bindingsContainer = document.createElement('span')
+    bindingsContainer.className = 'key-map-bindings'
+    li.appendChild(bindingsContainer)
+
+    var combos = groups[name]
+    // numbered shortcuts are shown as a range
+    if (combos.length > 2) {
+      var range = formatKeyValue(combos[0]) + ' – ' + formatKeyValue(combos[combos.length - 1])
+      var binding = createKeyBindingElement('')
+      binding.textContent = range
+      bindingsContainer.appendChild(binding)
+    } else {
+      combos.forEach(function (combo) {
+        bindingsContainer.appendChild(createKeyBindingElement(combo))
+      })
+    }
+
+    builtInKeyMapList.appendChild(li)
+  })
+}
+
+document.getElementById('key-map-reset-all').addEventListener('click', function () {
+  if (confirm(l('settingsKeyboardShortcutsResetAllConfirm'))) {
+    keyMapErrors = {}
+    settings.set('keyMap', {})
+    showRestartRequiredBanner()
+    renderKeyMap()
+  }
+})
+
+renderKeyMap()
+renderBuiltInKeyMap()
+
 /* Password auto-fill settings  */
 
 var passwordManagersDropdown = document.getElementById('selected-password-manager')
@@ -13,7 +13,10 @@ const modules = [
   'js/util/settings/settingsMain.js',
   'main/main.js',
   'main/internalProtocol.js',
+  'main/filterLists.js',
+  'main/httpsOnly.js',
   'main/filtering.js',
+  'main/focusSession.js',
   'main/viewManager.js',
   'main/download.js',
   'main/UASwitcher.js',
@@ -8,7 +8,11 @@ const modules = [
   'js/preload/textExtractor.js',
   'js/preload/readerDetector.js',
   'js/preload/siteUnbreak.js',
+  'js/preload/cosmeticFilters.js',
   'js/util/settings/settingsPreload.js',
+  'js/preload/branchGraph.js',
+  'js/preload/downloads.js',
+  'js/preload/linkHints.js',
   'js/preload/passwordFill.js',
   'js/preload/translate.js',
 ]